@@ -0,0 +1,277 @@
+const data = JSON.parse(document.getElementById("report-data").textContent);
+const PHASES = ["blocked", "dns", "connect", "send", "wait", "receive"];
+const SEVERITY = { pageerror: 0, error: 0, warning: 1 };
+
+// DOM helpers
+const el = (tag, props = {}, children = []) => {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children);
+  return node;
+};
+const row = (cells, className = "") =>
+  el(
+    "tr",
+    { className },
+    cells.map((cell) =>
+      cell instanceof Node
+        ? el("td", {}, [cell])
+        : el("td", { title: String(cell ?? "") }, [String(cell ?? "")])
+    )
+  );
+const table = (headings, widths, rows) =>
+  el("table", {}, [
+    el(
+      "colgroup",
+      {},
+      widths.map((width) => el("col", { style: "width:" + width }))
+    ),
+    el("thead", {}, [
+      el(
+        "tr",
+        {},
+        headings.map((h) => el("th", {}, [h]))
+      ),
+    ]),
+    el("tbody", {}, rows),
+  ]);
+const time = (iso) => (iso ? new Date(iso).toLocaleString() : "-");
+const tabName = (tabId) =>
+  data.tabs.find((tab) => tab.tabId === tabId)?.title || tabId;
+const section = (title, children) =>
+  document
+    .querySelector("main")
+    .append(el("section", {}, [el("h2", {}, [title]), ...children]));
+const truncated = (shown, total, what) =>
+  shown < total
+    ? [
+        el("p", { className: "note" }, [
+          "Showing " + shown + " of " + total + " " + what + ".",
+        ]),
+      ]
+    : [];
+
+// Session stats
+const s = data.summary;
+document.querySelector("header p").textContent =
+  time(s.sessionStartTime) +
+  " to " +
+  time(s.sessionEndTime) +
+  " (" +
+  s.sessionDuration +
+  ")";
+section("Summary", [
+  el(
+    "div",
+    { className: "cards" },
+    [
+      ["Tabs", s.totalTabs],
+      ["Requests", s.totalNetworkEvents],
+      ["Failed requests", data.failedRequests.length],
+      ["Console messages", s.totalConsoleLogs],
+      ["Errors", s.totalErrorLogs],
+      ["Warnings", s.totalWarningLogs],
+    ].map(([label, value]) =>
+      el("div", { className: "card" }, [
+        el("b", {}, [String(value ?? 0)]),
+        label,
+      ])
+    )
+  ),
+]);
+
+// Failed requests across all tabs
+section(
+  "Failed requests",
+  data.failedRequests.length === 0
+    ? ["No failed requests."]
+    : [
+        table(
+          ["Time", "Tab", "Method", "URL", "Status"],
+          ["14%", "16%", "7%", "48%", "15%"],
+          data.failedRequests.map((r) =>
+            row(
+              [
+                time(r.time),
+                tabName(r.tabId),
+                r.method,
+                r.url,
+                r.error || r.status,
+              ],
+              "failed"
+            )
+          )
+        ),
+        ...truncated(
+          data.failedRequests.length,
+          data.failedRequestCount,
+          "failed requests"
+        ),
+      ]
+);
+
+// Console table with level, tab and text filters
+const levelFilter = el(
+  "select",
+  {},
+  ["all", "pageerror", "error", "warning", "info", "log", "debug"].map(
+    (level) =>
+      el("option", { value: level }, [level === "all" ? "All levels" : level])
+  )
+);
+const tabFilter = el("select", {}, [
+  el("option", { value: "" }, ["All tabs"]),
+  ...data.tabs.map((tab) =>
+    el("option", { value: tab.tabId }, [tab.title || tab.tabId])
+  ),
+]);
+const textFilter = el("input", {
+  type: "search",
+  placeholder: "Filter messages",
+});
+const errorsFirst = el("input", { type: "checkbox", checked: true });
+const consoleBody = el("tbody");
+const renderConsole = () => {
+  const text = textFilter.value.toLowerCase();
+  let entries = data.console.entries.filter(
+    (entry) =>
+      (levelFilter.value === "all" || entry.level === levelFilter.value) &&
+      (!tabFilter.value || entry.tabId === tabFilter.value) &&
+      (!text || String(entry.text).toLowerCase().includes(text))
+  );
+  if (errorsFirst.checked) {
+    entries = entries
+      .slice()
+      .sort((a, b) => (SEVERITY[a.level] ?? 2) - (SEVERITY[b.level] ?? 2));
+  }
+  consoleBody.replaceChildren(
+    ...entries.map((entry) => {
+      const message = el("td", { className: "message" }, [
+        String(entry.text ?? "") +
+          (entry.count > 1 ? " (repeated " + entry.count + " times)" : ""),
+      ]);
+      if (entry.stack) {
+        message.append(
+          el("details", {}, [
+            el("summary", {}, ["Stack trace"]),
+            el("pre", {}, [entry.stack]),
+          ])
+        );
+      } else if (entry.stackTrace?.length) {
+        message.append(
+          el("details", {}, [
+            el("summary", {}, ["Stack trace"]),
+            el("pre", {}, [
+              entry.stackTrace
+                .map(
+                  (f) =>
+                    "at " +
+                    (f.functionName || "(anonymous)") +
+                    " (" +
+                    [f.url, f.lineNumber, f.columnNumber]
+                      .filter((part) => part !== undefined)
+                      .join(":") +
+                    ")"
+                )
+                .join("\n"),
+            ]),
+          ])
+        );
+      }
+      return el("tr", { className: entry.level }, [
+        el("td", {}, [time(entry.time)]),
+        el("td", { title: tabName(entry.tabId) }, [tabName(entry.tabId)]),
+        el("td", {}, [entry.level]),
+        message,
+      ]);
+    })
+  );
+};
+[levelFilter, tabFilter, textFilter, errorsFirst].forEach((input) =>
+  input.addEventListener("input", renderConsole)
+);
+section("Console", [
+  el("div", { className: "filters" }, [
+    levelFilter,
+    tabFilter,
+    textFilter,
+    el("label", {}, [errorsFirst, " Errors first"]),
+  ]),
+  el("table", {}, [
+    el(
+      "colgroup",
+      {},
+      ["14%", "16%", "8%", "62%"].map((width) =>
+        el("col", { style: "width:" + width })
+      )
+    ),
+    el("thead", {}, [
+      el(
+        "tr",
+        {},
+        ["Time", "Tab", "Level", "Message"].map((h) => el("th", {}, [h]))
+      ),
+    ]),
+    consoleBody,
+  ]),
+  ...truncated(
+    data.console.entries.length,
+    data.console.total,
+    "console messages"
+  ),
+]);
+renderConsole();
+
+// Request waterfall per tab, scaled to the tab's first and last request
+for (const tab of data.tabs) {
+  if (tab.requests.length === 0) continue;
+  const starts = tab.requests.map((r) => Date.parse(r.time));
+  const first = Math.min(...starts);
+  const span = Math.max(
+    1,
+    ...tab.requests.map(
+      (r, i) => starts[i] - first + Math.max(0, r.durationMs || 0)
+    )
+  );
+  const rows = tab.requests.map((r, i) => {
+    const bar = el("div", { className: "bar" });
+    let offset = ((starts[i] - first) / span) * 100;
+    for (const phase of PHASES) {
+      const width = (Math.max(0, r.timings?.[phase] ?? 0) / span) * 100;
+      if (width > 0) {
+        bar.append(
+          el("span", {
+            className: phase,
+            title: phase + ": " + r.timings[phase].toFixed(1) + " ms",
+            style: "left:" + offset + "%;width:" + Math.max(width, 0.2) + "%",
+          })
+        );
+      }
+      offset += width;
+    }
+    const failed = r.error || r.status >= 400 || r.status === 0;
+    return row(
+      [
+        r.status || "-",
+        r.method,
+        r.url,
+        Math.round(r.durationMs || 0) + " ms",
+        bar,
+      ],
+      failed ? "failed" : ""
+    );
+  });
+  section("Requests: " + (tab.title || tab.tabId), [
+    el("p", { className: "note" }, [tab.url || ""]),
+    el(
+      "p",
+      { className: "legend" },
+      PHASES.map((phase) => el("span", { className: phase }, [phase]))
+    ),
+    table(
+      ["Status", "Method", "URL", "Time", "Waterfall"],
+      ["6%", "7%", "37%", "8%", "42%"],
+      rows
+    ),
+    ...truncated(tab.requests.length, tab.requestCount, "requests"),
+  ]);
+}
@@ -28,7 +28,7 @@ const logError = (err) => {
 
 // Try to run the main app
 try {
-  require("./chrome.js");
+  require("./chrome.js").main();
 } catch (err) {
   logError(err);
 }
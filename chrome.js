@@ -4,16 +4,26 @@ const path = require("path");
 const http = require("http");
 const { execSync, spawn } = require("child_process");
 const os = require("os");
+const crypto = require("crypto");
 const { StringDecoder } = require("string_decoder");
-const { Readable, Transform } = require("stream");
+const { Readable, Transform, Writable, pipeline } = require("stream");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const readline = require("readline");
+const { once } = require("events");
 const SKIP_CHROMIUM_DOWNLOAD = true;
 // Global variables
-let uniqueRequestId = 0; // Moved to global scope so it's accessible in all functions and new tabs
 // Add sessionDir as a truly global variable
 let sessionDir;
 let networkEvents;
 let pages;
-const requestUrlMaps = new Map(); // Map<tabId, Map<url, entry>>
+const pendingRequests = new Map(); // Map<tabId, Map<requestId, { entry, ...CDP timing data }>>
+const networkFlushFiles = new Map(); // Map<tabId, string[]> of flushed HAR chunk paths
+let eventJournal = null; // EventJournal of the current session, if enabled
+let requestFilter = null; // Compiled FILTER_CONFIG rules, see createRequestFilter
+let consoleFilter = null; // Compiled CONSOLE_CONFIG rules, see createConsoleFilter
+let redactor = null; // Compiled REDACTION_CONFIG rules, see createRedactor
+let encryption = null; // Key material from ENCRYPTION_CONFIG, see createEncryption
 
 // Add flushStats as a global
 let flushStats = {
@@ -32,8 +42,548 @@ const MEMORY_CONFIG = {
   autoFlushIntervalMs: 60000, // Flush to disk every minute
   maxInactiveTimeMs: 3600000, // 1 hour - tabs inactive for longer get logs flushed
   useCompression: true, // Enable gzip compression for flushed files
+  compressConsoleLogs: false, // Also gzip the final console log files
   batchSize: 100, // Process network events in batches for better performance
   useBufferedWrites: true, // Use buffered writes for better I/O performance
+  useJournal: true, // Append every captured event to journal.ndjson for crash recovery
+};
+
+// Network capture configurations
+const CAPTURE_CONFIG = {
+  captureResponseBodies: false, // Store response bodies in HAR content.text
+  responseBodyMimeTypes: [
+    "application/json",
+    "application/*+json",
+    "application/xml",
+    "application/*+xml",
+    "text/*",
+  ], // Only bodies with these MIME types are captured
+  maxResponseBodySize: 1048576, // 1MB - larger bodies are skipped
+  capturePostData: true, // Store request bodies in HAR postData
+};
+
+// Connection and output configurations
+const RUN_CONFIG = {
+  host: "localhost", // Host of Chrome's remote debugging endpoint
+  port: 9222, // Chrome's remote debugging port
+  outputDir: null, // Directory for session folders (defaults to the app dir)
+  chromePath: null, // Chrome executable to launch (auto-detected if not set)
+  headless: false, // Launch headless Chrome and print line-based progress for CI
+  duration: 0, // Stop recording after this many milliseconds (0 = until Chrome closes)
+  maxPageErrors: null, // Exit with a non-zero code when more errors than this are logged
+  urls: null, // File with URLs to open one by one in fresh tabs
+  script: null, // User journey module that drives a page
+};
+
+// Console capture configurations
+const CONSOLE_CONFIG = {
+  minConsoleLevel: "debug", // Lowest level recorded: debug, log, info, warning or error
+  includeConsoleText: [], // Only record messages whose text matches one of these regexes
+  excludeConsoleText: [],
+  includeConsoleSources: [], // Only record messages whose source URL matches one of these regexes
+  excludeConsoleSources: [],
+  collapseRepeatedLogs: true, // Merge consecutive repeats of a message into one entry with a count
+  maxConsoleArgDepth: 3, // How deep objects logged to the console are captured
+  maxConsoleArgSize: 10 * 1024, // Rough cap on the captured size of each console argument
+  consoleArgTimeoutMs: 1000, // Give up expanding a console argument after this long and keep its preview
+};
+
+// Network request filters. A request is recorded only if, for each kind of
+// rule, it matches one of the include rules (when there are any) and none of
+// the exclude rules
+const FILTER_CONFIG = {
+  includeUrls: [], // URL globs (* and ?) or /regular expressions/
+  excludeUrls: [],
+  includeDomains: [], // Hostnames, matching their subdomains too
+  excludeDomains: [],
+  includeResourceTypes: [], // e.g. Document, XHR, Fetch, Script, Image, Font
+  excludeResourceTypes: [],
+  includeMethods: [], // e.g. GET, POST
+  excludeMethods: [],
+  includeStatusCodes: [], // Codes or classes, e.g. 404, 5xx
+  excludeStatusCodes: [],
+};
+
+// Redaction of sensitive data, applied to network entries and console
+// messages before anything is written to disk
+const REDACTION_CONFIG = {
+  redactSensitiveData: true, // Apply the built-in rules (auth headers, cookies, tokens, JWTs, emails, card numbers)
+  redactHeaders: [], // More header names whose values are replaced
+  redactParams: [], // More query string, form and JSON parameter names whose values are replaced
+  redactPatterns: [], // Regexes replaced wherever they appear
+  redactJsonPaths: [], // JSONPath expressions (e.g. $.user.ssn) replaced in JSON bodies
+};
+
+// Encryption of session output at rest. Set one of the two to encrypt every
+// file of a session except its manifest.
+const ENCRYPTION_CONFIG = {
+  encryptionPassphrase: null, // Passphrase the AES-256-GCM key is derived from
+  encryptionKeyFile: null, // File whose contents the key is derived from
+};
+
+// Session bundles written by the export command
+const EXPORT_CONFIG = {
+  redactedOnly: false, // Bundle only the HARs and console logs, redacted again with REDACTION_CONFIG
+};
+
+// Session retention, enforced by "sessions prune" and at the start of every
+// recording when a limit is set
+const RETENTION_CONFIG = {
+  maxSessionAge: null, // Delete sessions that started longer ago than this many milliseconds
+  maxSessionsSize: null, // Delete the oldest sessions while all sessions take more bytes than this
+};
+
+// Process exit codes, mainly for headless/CI runs
+const EXIT_CODES = {
+  success: 0,
+  failure: 1, // Configuration or connection problems
+  errorThresholdExceeded: 2, // More page errors than maxPageErrors
+  scriptedRunFailed: 3, // A --urls page or --script journey failed
+};
+
+// How long a scripted page may take to reach network idle
+const SCRIPTED_NAVIGATION_TIMEOUT_MS = 60000;
+
+// How often headless mode prints a progress line
+const HEADLESS_PROGRESS_INTERVAL_MS = 10000;
+
+// Per-session manifest, and the index of all sessions kept next to the
+// session folders
+const SESSION_MANIFEST_FILE = "session.json";
+const SESSIONS_INDEX_FILE = "sessions_index.json";
+
+// How long to wait for another logger to release the sessions index lock, and
+// the age after which a lock left behind by a killed process is taken over
+const SESSIONS_INDEX_LOCK_TIMEOUT_MS = 5000;
+const SESSIONS_INDEX_LOCK_STALE_MS = 30000;
+
+// Crash recovery journal in the session directory, and how often it is synced
+// to disk
+const JOURNAL_FILE_NAME = "journal.ndjson";
+const JOURNAL_SYNC_INTERVAL_MS = 1000;
+
+// Error recorded on requests that never completed, live or when recovered
+const INCOMPLETE_REQUEST_ERROR =
+  "Recording stopped before the request completed";
+
+// Encrypted files are named <file>.enc and hold ENCRYPTED_FILE_MAGIC, the
+// scrypt salt and the AES-256-GCM IV, then the ciphertext and the auth tag
+const ENCRYPTED_FILE_SUFFIX = ".enc";
+const ENCRYPTED_FILE_MAGIC = Buffer.from("CLOGENC1");
+const ENCRYPTION_SALT_LENGTH = 16;
+const ENCRYPTION_IV_LENGTH = 12;
+const ENCRYPTION_TAG_LENGTH = 16;
+const ENCRYPTION_HEADER_LENGTH =
+  ENCRYPTED_FILE_MAGIC.length + ENCRYPTION_SALT_LENGTH + ENCRYPTION_IV_LENGTH;
+
+// Zip bundles written by "export" hold the session's shareable files and
+// this manifest listing each of them with its size and SHA-256 checksum
+const BUNDLE_MANIFEST_FILE = "bundle_manifest.json";
+const BUNDLE_FORMAT = "chromelogs-bundle";
+
+// Most properties or items captured per object of a console argument, see
+// safeEvaluate
+const CONSOLE_ARG_MAX_PROPERTIES = 100;
+
+// URLs per tab whose last request the timeline remembers, for linking console
+// messages to requests (relatedRequestId)
+const TIMELINE_MAX_TRACKED_URLS = 1000;
+
+// Events per stream the timeline holds back to put late arrivals in order
+const TIMELINE_REORDER_WINDOW = 1000;
+
+// Self-contained HTML report in the session directory, and how much of a
+// large session it shows
+const REPORT_FILE_NAME = "report.html";
+const REPORT_MAX_REQUESTS_PER_TAB = 2000;
+const REPORT_MAX_CONSOLE_ENTRIES = 5000;
+
+// Configuration sections that can be set from a config file, environment
+// variables or the command line
+const CONFIG_SECTIONS = {
+  run: RUN_CONFIG,
+  memory: MEMORY_CONFIG,
+  capture: CAPTURE_CONFIG,
+  filter: FILTER_CONFIG,
+  console: CONSOLE_CONFIG,
+  redaction: REDACTION_CONFIG,
+  encryption: ENCRYPTION_CONFIG,
+  export: EXPORT_CONFIG,
+  retention: RETENTION_CONFIG,
+};
+
+// Config file, environment variable and command line options. The flag name is
+// the kebab-case form of the key, the environment variable is CHROMELOGS_ plus
+// the upper snake case form (e.g. maxEventsBeforeFlush -> CHROMELOGS_MAX_EVENTS_BEFORE_FLUSH)
+const CONFIG_OPTIONS = [
+  {
+    section: "run",
+    key: "host",
+    type: "string",
+    description: "Chrome remote debugging host",
+  },
+  {
+    section: "run",
+    key: "port",
+    type: "number",
+    description: "Chrome remote debugging port",
+  },
+  {
+    section: "run",
+    key: "outputDir",
+    type: "string",
+    description: "Directory to write session folders to",
+  },
+  {
+    section: "run",
+    key: "chromePath",
+    type: "string",
+    description: "Chrome executable to launch if Chrome isn't running",
+  },
+  {
+    section: "run",
+    key: "headless",
+    aliases: ["ci"],
+    type: "boolean",
+    description:
+      "Launch headless Chrome and print line-based progress (alias: --ci)",
+  },
+  {
+    section: "run",
+    key: "duration",
+    type: "duration",
+    description: "Stop recording after this long, e.g. 90, 30s, 5m, 1h",
+  },
+  {
+    section: "run",
+    key: "maxPageErrors",
+    type: "number",
+    description: "Exit with code 2 if more page errors than this are logged",
+  },
+  {
+    section: "run",
+    key: "urls",
+    type: "string",
+    description: "File of URLs (one per line) to record one by one, then stop",
+  },
+  {
+    section: "run",
+    key: "script",
+    type: "string",
+    description: "User journey module called with a page to record, then stop",
+  },
+  {
+    section: "memory",
+    key: "maxEventsBeforeFlush",
+    type: "number",
+    description: "Network events kept in memory per tab before flushing",
+  },
+  {
+    section: "memory",
+    key: "maxLogsPerTabBeforeFlush",
+    type: "number",
+    description: "Console logs kept in memory per tab before flushing",
+  },
+  {
+    section: "memory",
+    key: "autoFlushIntervalMs",
+    type: "number",
+    description: "Interval between automatic flushes",
+  },
+  {
+    section: "memory",
+    key: "maxInactiveTimeMs",
+    type: "number",
+    description: "Inactivity after which a tab's logs are flushed",
+  },
+  {
+    section: "memory",
+    key: "useCompression",
+    type: "boolean",
+    description: "Gzip flushed files",
+  },
+  {
+    section: "memory",
+    key: "compressConsoleLogs",
+    type: "boolean",
+    description: "Gzip the final console log files",
+  },
+  {
+    section: "memory",
+    key: "batchSize",
+    type: "number",
+    description: "Network events processed per batch",
+  },
+  {
+    section: "memory",
+    key: "useBufferedWrites",
+    type: "boolean",
+    description: "Use buffered writes for file output",
+  },
+  {
+    section: "memory",
+    key: "useJournal",
+    type: "boolean",
+    description: `Append captured events to ${JOURNAL_FILE_NAME} for crash recovery`,
+  },
+  {
+    section: "capture",
+    key: "captureResponseBodies",
+    type: "boolean",
+    description: "Store response bodies in HAR files",
+  },
+  {
+    section: "capture",
+    key: "responseBodyMimeTypes",
+    type: "list",
+    description: "Comma-separated MIME types whose bodies are stored",
+  },
+  {
+    section: "capture",
+    key: "maxResponseBodySize",
+    type: "number",
+    description: "Largest response body to store, in bytes",
+  },
+  {
+    section: "capture",
+    key: "capturePostData",
+    type: "boolean",
+    description: "Store request bodies in HAR files",
+  },
+  {
+    section: "filter",
+    key: "includeUrls",
+    type: "list",
+    description:
+      "Only record requests whose URL matches one of these globs or /regexes/",
+  },
+  {
+    section: "filter",
+    key: "excludeUrls",
+    type: "list",
+    description:
+      "Don't record requests whose URL matches one of these globs or /regexes/",
+  },
+  {
+    section: "filter",
+    key: "includeDomains",
+    type: "list",
+    description: "Only record requests to these domains and their subdomains",
+  },
+  {
+    section: "filter",
+    key: "excludeDomains",
+    type: "list",
+    description: "Don't record requests to these domains or their subdomains",
+  },
+  {
+    section: "filter",
+    key: "includeResourceTypes",
+    type: "list",
+    description: "Only record these resource types (e.g. Document,XHR,Fetch)",
+  },
+  {
+    section: "filter",
+    key: "excludeResourceTypes",
+    type: "list",
+    description: "Don't record these resource types (e.g. Image,Font,Ping)",
+  },
+  {
+    section: "filter",
+    key: "includeMethods",
+    type: "list",
+    description: "Only record requests with these HTTP methods",
+  },
+  {
+    section: "filter",
+    key: "excludeMethods",
+    type: "list",
+    description: "Don't record requests with these HTTP methods",
+  },
+  {
+    section: "filter",
+    key: "includeStatusCodes",
+    type: "list",
+    description: "Only keep responses with these status codes (e.g. 404,5xx)",
+  },
+  {
+    section: "filter",
+    key: "excludeStatusCodes",
+    type: "list",
+    description: "Drop responses with these status codes (e.g. 304,2xx)",
+  },
+  {
+    section: "console",
+    key: "minConsoleLevel",
+    type: "string",
+    description:
+      "Lowest console level to record: debug, log, info, warning or error",
+  },
+  {
+    section: "console",
+    key: "includeConsoleText",
+    type: "list",
+    description:
+      "Only record console messages whose text matches one of these regexes",
+  },
+  {
+    section: "console",
+    key: "excludeConsoleText",
+    type: "list",
+    description:
+      "Don't record console messages whose text matches one of these regexes",
+  },
+  {
+    section: "console",
+    key: "includeConsoleSources",
+    type: "list",
+    description:
+      "Only record console messages from source URLs matching these regexes",
+  },
+  {
+    section: "console",
+    key: "excludeConsoleSources",
+    type: "list",
+    description:
+      "Don't record console messages from source URLs matching these regexes",
+  },
+  {
+    section: "console",
+    key: "collapseRepeatedLogs",
+    type: "boolean",
+    description:
+      "Store consecutive identical console messages once, with a count",
+  },
+  {
+    section: "console",
+    key: "maxConsoleArgDepth",
+    type: "number",
+    description: "How many levels of objects logged to the console to capture",
+  },
+  {
+    section: "console",
+    key: "maxConsoleArgSize",
+    type: "size",
+    description: "Rough size cap for each captured console argument",
+  },
+  {
+    section: "console",
+    key: "consoleArgTimeoutMs",
+    type: "number",
+    description:
+      "Time limit for capturing one console argument before its preview is used",
+  },
+  {
+    section: "redaction",
+    key: "redactSensitiveData",
+    type: "boolean",
+    description:
+      "Redact auth headers, cookies, tokens, JWTs, emails and card numbers",
+  },
+  {
+    section: "redaction",
+    key: "redactHeaders",
+    type: "list",
+    description: "More header names whose values are redacted",
+  },
+  {
+    section: "redaction",
+    key: "redactParams",
+    type: "list",
+    description: "More query, form and JSON parameter names to redact",
+  },
+  {
+    section: "redaction",
+    key: "redactPatterns",
+    type: "list",
+    description: "Regexes to redact wherever they appear",
+  },
+  {
+    section: "redaction",
+    key: "redactJsonPaths",
+    type: "list",
+    description:
+      "JSONPath expressions to redact in JSON bodies (e.g. $.user.ssn)",
+  },
+  {
+    section: "encryption",
+    key: "encryptionPassphrase",
+    type: "string",
+    secret: true, // Hidden in session manifests and summaries
+    description:
+      "Encrypt session files with this passphrase (prefer CHROMELOGS_ENCRYPTION_PASSPHRASE)",
+  },
+  {
+    section: "encryption",
+    key: "encryptionKeyFile",
+    type: "string",
+    description: "Encrypt session files with a key derived from this file",
+  },
+  {
+    section: "export",
+    key: "redactedOnly",
+    type: "boolean",
+    description:
+      "Export only HARs and console logs, redacted again with the redaction options",
+  },
+  {
+    section: "retention",
+    key: "maxSessionAge",
+    aliases: ["older-than"],
+    type: "duration",
+    description: "Delete sessions older than this (e.g. 30d)",
+  },
+  {
+    section: "retention",
+    key: "maxSessionsSize",
+    aliases: ["max-size"],
+    type: "size",
+    description: "Delete the oldest sessions above this total size (e.g. 5GB)",
+  },
+];
+
+// Commands run instead of a recording, e.g. "node chrome.js recover <dir>"
+const COMMANDS = {
+  recover: {
+    usage: "recover <sessionDir>",
+    description: `Rebuild HAR and console files from a session's ${JOURNAL_FILE_NAME}`,
+    run: recoverSession,
+  },
+  sessions: {
+    usage: "sessions list|show <id>|rm <id>...|prune",
+    description:
+      "List, inspect or delete past sessions; prune applies --older-than/--max-size",
+    run: runSessionsCommand,
+  },
+  filter: {
+    usage: "filter <sessionDir>",
+    description:
+      "Apply the request filter options to a session's HAR files, into filtered/",
+    run: filterSession,
+  },
+  decrypt: {
+    usage: "decrypt <sessionDir>",
+    description:
+      "Decrypt an encrypted session's files in place, given its passphrase or key file",
+    run: decryptSession,
+  },
+  export: {
+    usage: "export <sessionDir> [archive]",
+    description:
+      "Bundle a session's HARs, console logs and summary into a zip with SHA-256 checksums",
+    run: exportSession,
+  },
+  verify: {
+    usage: "verify <archive>",
+    description: "Check an exported bundle against its checksums",
+    run: verifyBundle,
+  },
+  import: {
+    usage: "import <archive>",
+    description:
+      "Verify an exported bundle and unpack it into the sessions folder",
+    run: importBundle,
+  },
 };
 
 // Progress tracking variables
@@ -122,154 +672,1245 @@ function throttle(func, limit) {
   };
 }
 
-// Add to utility functions
-class BoundedArray {
-  constructor(maxSize) {
-    this.maxSize = maxSize;
-    this.array = [];
-    this.overflowed = false;
-  }
+// Convert a camelCase config key to its command line flag name
+function toFlagName(key) {
+  return key.replace(/[A-Z]/g, (char) => "-" + char.toLowerCase());
+}
 
-  push(item) {
-    if (this.array.length >= this.maxSize) {
-      // Remove oldest item when at capacity
-      this.array.shift();
-      this.overflowed = true;
-    }
-    this.array.push(item);
-    return this.array.length;
-  }
+// Name of the config file looked up in the working directory and the app dir
+const CONFIG_FILE_NAME = "chromelogs.config.json";
 
-  get length() {
-    return this.array.length;
-  }
+// Convert a camelCase config key to its environment variable name
+function toEnvName(key) {
+  return (
+    "CHROMELOGS_" + key.replace(/[A-Z]/g, (char) => "_" + char).toUpperCase()
+  );
+}
 
-  getItems() {
-    return this.array;
-  }
+// Parse a duration like "90" (seconds), "30s", "5m", "2h" or "7d" into
+// milliseconds. Returns null if the value isn't a duration.
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  const multipliers = {
+    ms: 1,
+    s: 1000,
+    m: 60000,
+    h: 3600000,
+    d: 86400000,
+  };
+  return Math.round(
+    parseFloat(match[1]) * multipliers[(match[2] || "s").toLowerCase()]
+  );
+}
 
-  clear() {
-    this.array = [];
-    this.overflowed = false;
+// Parse a size like "500MB" or "5GB" into bytes. Plain numbers are bytes.
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) return null;
+
+  const multipliers = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 ** 2,
+    gb: 1024 ** 3,
+    tb: 1024 ** 4,
+  };
+  return Math.round(
+    parseFloat(match[1]) * multipliers[(match[2] || "b").toLowerCase()]
+  );
+}
+
+// Convert a raw option value to the type declared for it. `source` names
+// where the value came from for error messages.
+function parseOptionValue(
+  option,
+  rawValue,
+  source = `--${toFlagName(option.key)}`
+) {
+  switch (option.type) {
+    case "number": {
+      const value = Number(rawValue);
+      if (rawValue === "" || !Number.isFinite(value) || value < 0) {
+        throw new Error(
+          `Invalid value for ${source}: expected a non-negative number, got "${rawValue}"`
+        );
+      }
+      return value;
+    }
+    case "boolean":
+      if (["true", "1", "yes"].includes(String(rawValue).toLowerCase())) {
+        return true;
+      }
+      if (["false", "0", "no"].includes(String(rawValue).toLowerCase())) {
+        return false;
+      }
+      throw new Error(
+        `Invalid value for ${source}: expected true or false, got "${rawValue}"`
+      );
+    case "duration": {
+      const value = parseDuration(rawValue);
+      if (value === null) {
+        throw new Error(
+          `Invalid value for ${source}: expected a duration like 90, 30s, 5m, 2h or 7d, got "${rawValue}"`
+        );
+      }
+      return value;
+    }
+    case "size": {
+      const value = parseSize(rawValue);
+      if (value === null) {
+        throw new Error(
+          `Invalid value for ${source}: expected a size like 500MB or 5GB, got "${rawValue}"`
+        );
+      }
+      return value;
+    }
+    case "list":
+      return String(rawValue)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    default:
+      if (rawValue === "") {
+        throw new Error(`Invalid value for ${source}: expected a value`);
+      }
+      return String(rawValue);
   }
 }
 
-// Add to utility functions
-const chalk = require("chalk"); // If not installed, will be handled gracefully
-chalk.level = 1;
+// Parse command line arguments into per-section config overrides.
+// Supports "--flag value", "--flag=value", and "--flag"/"--no-flag" for booleans.
+function parseArgs(argv) {
+  const result = {
+    help: false,
+    configPath: null,
+    options: {},
+    positionals: [],
+  };
+  const optionsByFlag = new Map(
+    CONFIG_OPTIONS.flatMap((option) =>
+      [toFlagName(option.key), ...(option.aliases || [])].map((flag) => [
+        flag,
+        option,
+      ])
+    )
+  );
 
-// Helper for colorized output with fallback for environments without chalk
-const colors = {
-  info: (text) => {
-    try {
-      return chalk ? chalk.blue(text) : text;
-    } catch {
-      return text;
-    }
-  },
-  success: (text) => {
-    try {
-      return chalk ? chalk.green(text) : text;
-    } catch {
-      return text;
+  const setOption = (option, value) => {
+    result.options[option.section] = result.options[option.section] || {};
+    result.options[option.section][option.key] = value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--help" || arg === "-h") {
+      result.help = true;
+      continue;
     }
-  },
-  warning: (text) => {
-    try {
-      return chalk ? chalk.yellow(text) : text;
-    } catch {
-      return text;
+
+    // The config file location can't itself come from the config file
+    if (arg === "--config" || arg.startsWith("--config=")) {
+      result.configPath =
+        arg === "--config" ? argv[++i] : arg.slice("--config=".length);
+      if (!result.configPath) {
+        throw new Error("Missing value for --config");
+      }
+      continue;
     }
-  },
-  error: (text) => {
-    try {
-      return chalk ? chalk.red(text) : text;
-    } catch {
-      return text;
+
+    if (!arg.startsWith("--")) {
+      result.positionals.push(arg);
+      continue;
     }
-  },
-  highlight: (text) => {
-    try {
-      return chalk ? chalk.cyan(text) : text;
-    } catch {
-      return text;
+
+    const separator = arg.indexOf("=");
+    let name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    let rawValue = separator === -1 ? undefined : arg.slice(separator + 1);
+
+    // "--no-<flag>" turns a boolean option off
+    let option = optionsByFlag.get(name);
+    if (!option && name.startsWith("no-")) {
+      const negated = optionsByFlag.get(name.slice(3));
+      if (negated && negated.type === "boolean" && rawValue === undefined) {
+        setOption(negated, false);
+        continue;
+      }
     }
-  },
-  dim: (text) => {
-    try {
-      return chalk ? chalk.gray(text) : text;
-    } catch {
-      return text;
+
+    if (!option) {
+      throw new Error(`Unknown option: --${name} (see --help)`);
     }
-  },
-};
 
-// UI State
-const uiState = {
-  showAdvanced: false,
-  lastKeypress: Date.now(),
-  showHelp: false,
-  sessionStart: new Date(),
-  spinnerState: 0,
-  spinnerFrames: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
-};
+    if (rawValue === undefined) {
+      if (option.type === "boolean") {
+        // A boolean flag may be followed by an explicit true/false
+        const next = argv[i + 1];
+        rawValue = /^(true|false)$/i.test(next || "") ? argv[++i] : "true";
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+        rawValue = argv[++i];
+      } else {
+        throw new Error(`Missing value for --${name}`);
+      }
+    }
 
-// Helper to format numbers for display
-function formatNumber(num) {
-  if (num >= 1000000) {
-    return (num / 1000000).toFixed(1) + "M";
-  } else if (num >= 1000) {
-    return (num / 1000).toFixed(1) + "K";
+    setOption(option, parseOptionValue(option, rawValue));
   }
-  return num.toString();
+
+  return result;
 }
 
-// Helper to format time elapsed
-function formatTimeElapsed(startTime) {
-  const elapsed = Math.floor((Date.now() - startTime) / 1000);
-  const hours = Math.floor(elapsed / 3600);
-  const minutes = Math.floor((elapsed % 3600) / 60);
-  const seconds = elapsed % 60;
+// Print command line usage
+function showUsage() {
+  const formatDefault = (option) => {
+    const value = CONFIG_SECTIONS[option.section][option.key];
+    if (
+      value === null ||
+      value === undefined ||
+      option.type === "duration" ||
+      (Array.isArray(value) && value.length === 0)
+    ) {
+      return "";
+    }
+    return ` (default: ${Array.isArray(value) ? value.join(",") : value})`;
+  };
+  const valueHint = {
+    number: " <n>",
+    duration: " <time>",
+    size: " <size>",
+    string: " <value>",
+    list: " <a,b,...>",
+  };
 
-  if (hours > 0) {
-    return `${hours}h ${minutes}m`;
-  } else if (minutes > 0) {
-    return `${minutes}m ${seconds}s`;
-  } else {
-    return `${seconds}s`;
+  console.log("Usage: node chrome.js [command] [options]\n");
+  console.log(
+    "Records network traffic and console logs from every tab of a Chrome instance\nrunning with remote debugging enabled.\n"
+  );
+  console.log("Commands:");
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  ${command.usage.padEnd(36)} ${command.description}`);
+  }
+  console.log("\nOptions:");
+  for (const option of CONFIG_OPTIONS) {
+    const flag = `--${toFlagName(option.key)}${valueHint[option.type] || ""}`;
+    console.log(
+      `  ${flag.padEnd(36)} ${option.description}${formatDefault(option)}`
+    );
   }
-}
-
-// Show help menu
-function showHelp() {
-  process.stdout.write("\n\n");
-  console.log(colors.highlight("=== Chrome Logger Help ==="));
-  console.log(colors.info("Available commands:"));
-  console.log(`  ${colors.success("h")} - Show/hide this help menu`);
-  console.log(`  ${colors.success("a")} - Toggle advanced metrics display`);
-  console.log(`  ${colors.success("f")} - Force flush all data to disk`);
-  console.log(`  ${colors.success("s")} - Show session summary`);
   console.log(
-    `  ${colors.success("q")} - Quit (closes the logger, not Chrome)`
+    `  ${"--config <file>".padEnd(
+      36
+    )} Config file to load (default: ./${CONFIG_FILE_NAME}, then the app dir)`
   );
-  console.log("\nYour data is being saved to:");
+  console.log(`  ${"--help, -h".padEnd(36)} Show this help and exit`);
   console.log(
-    `  ${colors.highlight(sessionDir || "Session directory not yet created")}`
+    "\nBoolean options can be turned off with --no-<option>, e.g. --no-use-compression."
+  );
+  console.log(
+    `Every option can also be set in ${CONFIG_FILE_NAME} using its camelCase key\n(e.g. "maxEventsBeforeFlush": 2000) or through a CHROMELOGS_ environment variable\n(e.g. CHROMELOGS_MAX_EVENTS_BEFORE_FLUSH=2000).`
+  );
+  console.log(
+    "Precedence: defaults < config file < environment variables < command line."
   );
-  console.log("\nPress any key to return to the main display");
 }
 
-// Show a simplified status display
-function showSimpleStatus() {
-  // Get current spinner frame
-  uiState.spinnerState =
-    (uiState.spinnerState + 1) % uiState.spinnerFrames.length;
-  const spinner = uiState.spinnerFrames[uiState.spinnerState];
-
-  // Format time running
-  const timeRunning = formatTimeElapsed(uiState.sessionStart);
+// Find the config file: an explicit --config path, otherwise the working
+// directory, otherwise the app directory
+function findConfigFile(explicitPath) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
 
-  // Basic info
+  for (const dir of [process.cwd(), getAppDir()]) {
+    const candidate = path.join(dir, CONFIG_FILE_NAME);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Read and validate a config file into per-section config overrides
+function loadConfigFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read config file ${filePath}: ${err.message}`);
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(
+      `Invalid config file ${filePath}: expected a JSON object of options`
+    );
+  }
+
+  const optionsByKey = new Map(
+    CONFIG_OPTIONS.map((option) => [option.key, option])
+  );
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    const option = optionsByKey.get(key);
+    const source = `"${key}" in ${filePath}`;
+    if (!option) {
+      throw new Error(`Unknown option ${source} (see --help)`);
+    }
+
+    overrides[option.section] = overrides[option.section] || {};
+    overrides[option.section][key] = validateConfigValue(option, value, source);
+  }
+
+  return overrides;
+}
+
+// Check a JSON config value against the option type. Strings are parsed the
+// same way as command line values.
+function validateConfigValue(option, value, source) {
+  if (typeof value === "string") {
+    return parseOptionValue(option, value, source);
+  }
+
+  // Options that default to null (e.g. outputDir) can be set back to null
+  if (value === null && CONFIG_SECTIONS[option.section][option.key] === null) {
+    return null;
+  }
+
+  // Plain numbers are seconds, like on the command line
+  if (option.type === "duration" && Number.isFinite(value) && value >= 0) {
+    return value * 1000;
+  }
+
+  const valid = {
+    number: () => Number.isFinite(value) && value >= 0,
+    size: () => Number.isFinite(value) && value >= 0,
+    duration: () => false,
+    boolean: () => typeof value === "boolean",
+    list: () =>
+      Array.isArray(value) && value.every((item) => typeof item === "string"),
+    string: () => false,
+  }[option.type]();
+
+  if (!valid) {
+    const expected = {
+      number: "a non-negative number",
+      size: 'a number of bytes or a size string like "5GB"',
+      duration: 'a number of seconds or a duration string like "5m"',
+      boolean: "true or false",
+      list: "an array of strings",
+      string: "a string",
+    }[option.type];
+    throw new Error(
+      `Invalid value for ${source}: expected ${expected}, got ${JSON.stringify(
+        value
+      )}`
+    );
+  }
+
+  return value;
+}
+
+// Read CHROMELOGS_* environment variables into per-section config overrides
+function loadEnvConfig(env) {
+  const optionsByEnvName = new Map(
+    CONFIG_OPTIONS.map((option) => [toEnvName(option.key), option])
+  );
+  const overrides = {};
+
+  for (const [name, rawValue] of Object.entries(env)) {
+    if (!name.startsWith("CHROMELOGS_")) continue;
+
+    // Other tools may share the prefix, so unknown names are not fatal
+    const option = optionsByEnvName.get(name);
+    if (!option) {
+      console.warn(`Ignoring unknown environment variable ${name}`);
+      continue;
+    }
+
+    overrides[option.section] = overrides[option.section] || {};
+    overrides[option.section][option.key] = parseOptionValue(
+      option,
+      rawValue,
+      name
+    );
+  }
+
+  return overrides;
+}
+
+// Resolve the configuration from defaults < config file < environment <
+// command line and apply it to the config sections. Returns a snapshot of
+// the result for the session summary, with secret options hidden.
+function resolveConfig(args, env = process.env) {
+  const configFile = findConfigFile(args.configPath);
+  const layers = [
+    configFile ? loadConfigFile(configFile) : {},
+    loadEnvConfig(env),
+    args.options,
+  ];
+
+  for (const layer of layers) {
+    for (const [section, values] of Object.entries(layer)) {
+      Object.assign(CONFIG_SECTIONS[section], values);
+    }
+  }
+
+  const secretKeys = new Set(
+    CONFIG_OPTIONS.filter((option) => option.secret).map((option) => option.key)
+  );
+  return {
+    configFile,
+    ...Object.fromEntries(
+      Object.entries(CONFIG_SECTIONS).map(([section, values]) => [
+        section,
+        Object.fromEntries(
+          Object.entries(values).map(([key, value]) => [
+            key,
+            secretKeys.has(key) && value ? REDACTED : value,
+          ])
+        ),
+      ])
+    ),
+  };
+}
+
+// Compile the filters, redaction rules and encryption key from the resolved
+// config sections
+function compileConfig() {
+  requestFilter = createRequestFilter();
+  consoleFilter = createConsoleFilter();
+  redactor = createRedactor();
+  encryption = createEncryption();
+}
+
+// Directory the app runs from - next to the executable when packaged with pkg
+function getAppDir() {
+  return process.pkg ? path.dirname(process.execPath) : __dirname;
+}
+
+// Return dirPath if it can be created and written to, otherwise a fallback
+// under the system temp directory
+function getWritablePath(dirPath) {
+  try {
+    fs.mkdirSync(dirPath, { recursive: true });
+    fs.accessSync(dirPath, fs.constants.W_OK);
+    return dirPath;
+  } catch {
+    return path.join(os.tmpdir(), "chromelogs", path.basename(dirPath));
+  }
+}
+
+// Name and version of this tool, recorded in session manifests
+function readToolInfo() {
+  try {
+    const pkg = require("./package.json");
+    return { name: pkg.name, version: pkg.version };
+  } catch {
+    return { name: "chromelogs", version: "unknown" };
+  }
+}
+
+// Locale-independent timestamp for file names, e.g. 2024-05-01T14-03-22Z
+function formatFileTimestamp(date) {
+  return date
+    .toISOString()
+    .replace(/\.\d+Z$/, "Z")
+    .replace(/:/g, "-");
+}
+
+// Directory holding all session folders and the sessions index
+function getSessionsBaseDir({ create = true } = {}) {
+  const baseDir = RUN_CONFIG.outputDir
+    ? path.resolve(RUN_CONFIG.outputDir)
+    : path.join(getAppDir(), "sessions");
+  return create ? getWritablePath(baseDir) : baseDir;
+}
+
+// Create a session folder named after its UTC start time so names sort
+// chronologically. A numeric suffix keeps the name unique when two sessions
+// start in the same second.
+function createSessionDirectory(baseDir, startTime) {
+  fs.mkdirSync(baseDir, { recursive: true });
+  const stamp = formatFileTimestamp(startTime);
+  for (let attempt = 1; ; attempt++) {
+    const id =
+      attempt === 1 ? `session_${stamp}` : `session_${stamp}_${attempt}`;
+    const dir = path.join(baseDir, id);
+    try {
+      fs.mkdirSync(dir);
+      return { id, dir };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+  }
+}
+
+// Write JSON through a temporary file so readers never see a partial file
+function writeJsonFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Read a session's manifest, or null if it has none
+function readSessionManifest(dir) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(dir, SESSION_MANIFEST_FILE), "utf8")
+    );
+  } catch {
+    return null;
+  }
+}
+
+// Index entry for a session
+function summarizeSession(dir, manifest) {
+  return {
+    id: manifest.id,
+    directory: path.basename(dir),
+    startedAt: manifest.startedAt,
+    endedAt: manifest.endedAt,
+    status: manifest.status,
+    chromeVersion: manifest.chrome?.browser || null,
+  };
+}
+
+// Rebuild the sessions index from the manifests of the session folders.
+// Folders recorded before manifests existed are listed with status "unknown"
+// and their folder's modification time as start time.
+function rebuildSessionsIndex(baseDir) {
+  const sessions = [];
+  for (const dirent of fs.readdirSync(baseDir, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+    const dir = path.join(baseDir, dirent.name);
+    const manifest = readSessionManifest(dir);
+    if (manifest) {
+      sessions.push(summarizeSession(dir, manifest));
+    } else if (
+      dirent.name.startsWith("session_") &&
+      (fs.existsSync(path.join(dir, "recording_summary.json")) ||
+        fs.existsSync(
+          path.join(dir, `recording_summary.json${ENCRYPTED_FILE_SUFFIX}`)
+        ))
+    ) {
+      sessions.push(
+        summarizeSession(dir, {
+          id: dirent.name,
+          startedAt: fs.statSync(dir).mtime.toISOString(),
+          endedAt: null,
+          status: "unknown",
+        })
+      );
+    }
+  }
+  return sessions;
+}
+
+// All sessions in a base directory, newest first. Falls back to scanning the
+// session folders when the index is missing or unreadable, and drops entries
+// whose folder has been deleted.
+function loadSessionsIndex(baseDir) {
+  let sessions;
+  try {
+    sessions = JSON.parse(
+      fs.readFileSync(path.join(baseDir, SESSIONS_INDEX_FILE), "utf8")
+    ).sessions;
+  } catch {
+    // Rebuilt below
+  }
+  if (!Array.isArray(sessions)) {
+    if (!fs.existsSync(baseDir)) return [];
+    sessions = rebuildSessionsIndex(baseDir);
+  }
+  return sessions
+    .filter((session) => fs.existsSync(path.join(baseDir, session.directory)))
+    .sort((a, b) => (b.startedAt || "").localeCompare(a.startedAt || ""));
+}
+
+// Run `update` while holding the sessions index lock of a base directory, so
+// loggers sharing it don't overwrite each other's index entries
+function withSessionsIndexLock(baseDir, update) {
+  const lockPath = path.join(baseDir, `${SESSIONS_INDEX_FILE}.lock`);
+  const deadline = Date.now() + SESSIONS_INDEX_LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, "wx"));
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    try {
+      const lockAge = Date.now() - fs.statSync(lockPath).mtimeMs;
+      if (lockAge > SESSIONS_INDEX_LOCK_STALE_MS) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch {
+      continue; // Released meanwhile
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockPath}`);
+    }
+    // Synchronous sleep; index updates happen outside the capture path
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+  }
+
+  try {
+    return update();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+// Add or update a session in its base directory's index
+function updateSessionsIndex(baseDir, entry) {
+  withSessionsIndexLock(baseDir, () => {
+    const sessions = loadSessionsIndex(baseDir).filter(
+      (session) => session.id !== entry.id
+    );
+    sessions.push(entry);
+    sessions.sort((a, b) =>
+      (b.startedAt || "").localeCompare(a.startedAt || "")
+    );
+    writeJsonFileAtomic(path.join(baseDir, SESSIONS_INDEX_FILE), {
+      updatedAt: new Date().toISOString(),
+      sessions,
+    });
+  });
+}
+
+// Write a session's manifest and mirror it into the sessions index
+function saveSessionManifest(dir, manifest) {
+  writeJsonFileAtomic(path.join(dir, SESSION_MANIFEST_FILE), manifest);
+  try {
+    updateSessionsIndex(path.dirname(dir), summarizeSession(dir, manifest));
+  } catch (err) {
+    console.warn(`Could not update sessions index: ${err.message}`);
+  }
+}
+
+// Total size of a directory's files in bytes
+function getDirectorySize(dir) {
+  let total = 0;
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, dirent.name);
+    try {
+      total += dirent.isDirectory()
+        ? getDirectorySize(entryPath)
+        : fs.lstatSync(entryPath).size;
+    } catch {
+      // File removed while scanning
+    }
+  }
+  return total;
+}
+
+// Whether a session is still being recorded by a running process
+function isSessionActive(manifest) {
+  if (manifest?.status !== "recording" || !manifest.pid) return false;
+  if (manifest.pid === process.pid) return true;
+  try {
+    process.kill(manifest.pid, 0); // Signal 0 only checks the process exists
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+// Counts copied from the recording summary into the plaintext manifest, so
+// encrypted sessions can be listed without their passphrase
+const SESSION_SUMMARY_COUNTS = [
+  "totalTabs",
+  "totalNetworkEvents",
+  "totalConsoleLogs",
+  "totalErrorLogs",
+  "totalWarningLogs",
+];
+
+// A session's recording summary. An encrypted summary is decrypted when a
+// passphrase or key file is set; otherwise, or when it does not decrypt, the
+// counts saved in the manifest stand in for it.
+async function readSessionSummary(dir, manifest) {
+  const summaryPath = path.join(dir, "recording_summary.json");
+  try {
+    if (fs.existsSync(summaryPath)) {
+      return await readJsonFile(summaryPath);
+    }
+    if (encryption.isActive) {
+      return await readJsonFile(getOutputPath(summaryPath));
+    }
+  } catch {
+    // Session still running, killed before the end or wrong passphrase
+  }
+  return manifest?.counts || null;
+}
+
+// Every session in a base directory with its recording summary and size,
+// newest first. Refreshes the sessions index on the way.
+async function listSessionDetails(baseDir) {
+  if (!fs.existsSync(baseDir)) return [];
+
+  const rebuildSorted = () =>
+    rebuildSessionsIndex(baseDir).sort((a, b) =>
+      (b.startedAt || "").localeCompare(a.startedAt || "")
+    );
+  let sessions = null;
+  try {
+    sessions = withSessionsIndexLock(baseDir, () => {
+      const rebuilt = rebuildSorted();
+      writeJsonFileAtomic(path.join(baseDir, SESSIONS_INDEX_FILE), {
+        updatedAt: new Date().toISOString(),
+        sessions: rebuilt,
+      });
+      return rebuilt;
+    });
+  } catch (err) {
+    console.warn(`Could not update sessions index: ${err.message}`);
+  }
+  sessions = sessions || rebuildSorted();
+
+  return Promise.all(
+    sessions.map(async (session) => {
+      const dir = path.join(baseDir, session.directory);
+      const manifest = readSessionManifest(dir);
+      return {
+        ...session,
+        dir,
+        manifest,
+        summary: await readSessionSummary(dir, manifest),
+        sizeBytes: getDirectorySize(dir),
+        active: isSessionActive(manifest),
+      };
+    })
+  );
+}
+
+// Pick the sessions that break the retention limits: every session older
+// than maxAge, then the oldest remaining ones until the total fits in
+// maxSize. Sessions still being recorded are never picked.
+function selectSessionsToPrune(
+  sessions,
+  { maxAge, maxSize },
+  now = Date.now()
+) {
+  const oldestFirst = [...sessions].sort((a, b) =>
+    (a.startedAt || "").localeCompare(b.startedAt || "")
+  );
+  const selected = new Set();
+
+  if (maxAge) {
+    for (const session of oldestFirst) {
+      if (!session.active && now - Date.parse(session.startedAt) > maxAge) {
+        selected.add(session);
+      }
+    }
+  }
+
+  if (maxSize) {
+    let totalSize = sessions
+      .filter((session) => !selected.has(session))
+      .reduce((total, session) => total + session.sizeBytes, 0);
+    for (const session of oldestFirst) {
+      if (totalSize <= maxSize) break;
+      if (session.active || selected.has(session)) continue;
+      selected.add(session);
+      totalSize -= session.sizeBytes;
+    }
+  }
+
+  return oldestFirst.filter((session) => selected.has(session));
+}
+
+// Delete sessions that break the configured retention limits. Returns the
+// deleted sessions.
+async function pruneSessions(baseDir) {
+  const toPrune = selectSessionsToPrune(await listSessionDetails(baseDir), {
+    maxAge: RETENTION_CONFIG.maxSessionAge,
+    maxSize: RETENTION_CONFIG.maxSessionsSize,
+  });
+  for (const session of toPrune) {
+    fs.rmSync(session.dir, { recursive: true, force: true });
+  }
+  if (toPrune.length > 0) {
+    await listSessionDetails(baseDir); // Refresh the index
+  }
+  return toPrune;
+}
+
+// "sessions" command: list, show, rm and prune past recordings
+async function runSessionsCommand(action = "list", ...ids) {
+  const baseDir = getSessionsBaseDir({ create: false });
+  const sessions = await listSessionDetails(baseDir);
+  const findSession = (id) => {
+    const session = sessions.find(
+      (candidate) => candidate.id === id || candidate.directory === id
+    );
+    if (!session) {
+      throw new Error(`No session "${id}" in ${baseDir}`);
+    }
+    return session;
+  };
+  const getDuration = (session) =>
+    session.endedAt
+      ? formatDuration(
+          Date.parse(session.endedAt) - Date.parse(session.startedAt)
+        )
+      : "-";
+
+  switch (action) {
+    case "list": {
+      if (sessions.length === 0) {
+        console.log(`No sessions found in ${baseDir}`);
+        return;
+      }
+      const rows = sessions.map((session) => [
+        session.id,
+        new Date(session.startedAt).toLocaleString(),
+        getDuration(session),
+        String(session.summary?.totalTabs ?? "-"),
+        String(session.summary?.totalNetworkEvents ?? "-"),
+        String(session.summary?.totalErrorLogs ?? "-"),
+        formatBytes(session.sizeBytes),
+        session.active ? "recording" : session.status,
+      ]);
+      const header = [
+        "ID",
+        "Started",
+        "Duration",
+        "Tabs",
+        "Requests",
+        "Errors",
+        "Size",
+        "Status",
+      ];
+      const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map((row) => row[column].length))
+      );
+      for (const row of [header, ...rows]) {
+        console.log(
+          row
+            .map((cell, column) => cell.padEnd(widths[column]))
+            .join("  ")
+            .trimEnd()
+        );
+      }
+      const totalSize = sessions.reduce(
+        (total, session) => total + session.sizeBytes,
+        0
+      );
+      console.log(
+        `\n${sessions.length} session(s), ${formatBytes(
+          totalSize
+        )} in ${baseDir}`
+      );
+      return;
+    }
+
+    case "show": {
+      if (!ids[0]) {
+        throw new Error("Usage: node chrome.js sessions show <id>");
+      }
+      const session = findSession(ids[0]);
+      const { manifest, summary } = session;
+      const details = [
+        ["Directory", session.dir],
+        ["Status", session.active ? "recording" : session.status],
+        ["Started", new Date(session.startedAt).toLocaleString()],
+        [
+          "Ended",
+          session.endedAt ? new Date(session.endedAt).toLocaleString() : "-",
+        ],
+        ["Duration", getDuration(session)],
+        ["Exit code", manifest?.exitCode ?? "-"],
+        ["Chrome", manifest?.chrome?.browser || "-"],
+        [
+          "Tool",
+          manifest?.tool
+            ? `${manifest.tool.name} ${manifest.tool.version}`
+            : "-",
+        ],
+        ["Tabs", summary?.totalTabs ?? "-"],
+        ["Requests", summary?.totalNetworkEvents ?? "-"],
+        ["Console logs", summary?.totalConsoleLogs ?? "-"],
+        ["Errors", summary?.totalErrorLogs ?? "-"],
+        ["Warnings", summary?.totalWarningLogs ?? "-"],
+        ["Encrypted", manifest?.encrypted ? "yes" : "no"],
+        ["Size", formatBytes(session.sizeBytes)],
+      ];
+      console.log(session.id);
+      for (const [label, value] of details) {
+        console.log(`  ${`${label}:`.padEnd(14)} ${value}`);
+      }
+      if (manifest?.error) {
+        console.log(`  ${"Error:".padEnd(14)} ${manifest.error}`);
+      }
+      return;
+    }
+
+    case "rm": {
+      if (ids.length === 0) {
+        throw new Error("Usage: node chrome.js sessions rm <id>...");
+      }
+      const toRemove = ids.map(findSession);
+      for (const session of toRemove) {
+        if (session.active) {
+          throw new Error(`Session ${session.id} is still being recorded`);
+        }
+      }
+      for (const session of toRemove) {
+        fs.rmSync(session.dir, { recursive: true, force: true });
+        console.log(
+          `Removed ${session.id} (${formatBytes(session.sizeBytes)})`
+        );
+      }
+      await listSessionDetails(baseDir); // Refresh the index
+      return;
+    }
+
+    case "prune": {
+      if (
+        !RETENTION_CONFIG.maxSessionAge &&
+        !RETENTION_CONFIG.maxSessionsSize
+      ) {
+        throw new Error(
+          "Nothing to prune by: pass --older-than <time> and/or --max-size <size>"
+        );
+      }
+      const pruned = await pruneSessions(baseDir);
+      for (const session of pruned) {
+        console.log(
+          `Removed ${session.id} (${formatBytes(session.sizeBytes)})`
+        );
+      }
+      const freed = pruned.reduce(
+        (total, session) => total + session.sizeBytes,
+        0
+      );
+      console.log(
+        `Pruned ${pruned.length} session(s), freed ${formatBytes(freed)}`
+      );
+      return;
+    }
+
+    default:
+      throw new Error(
+        `Unknown sessions action: ${action} (expected list, show, rm or prune)`
+      );
+  }
+}
+
+// Read a --urls file: one URL per line, blank lines and # comments ignored
+function loadUrlList(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(path.resolve(filePath), "utf8");
+  } catch (err) {
+    throw new Error(`Could not read URL list ${filePath}: ${err.message}`);
+  }
+
+  const urls = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+
+  for (const url of urls) {
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(`Invalid URL in ${filePath}: ${url}`);
+    }
+  }
+  if (urls.length === 0) {
+    throw new Error(`URL list ${filePath} contains no URLs`);
+  }
+
+  return urls;
+}
+
+// Load a --script journey module. It must export a function (or a `run`
+// function) that receives the page and a context object.
+function loadJourneyScript(filePath) {
+  const resolved = path.resolve(filePath);
+  let journey;
+  try {
+    journey = require(resolved);
+  } catch (err) {
+    throw new Error(`Could not load script ${resolved}: ${err.message}`);
+  }
+
+  const run = typeof journey === "function" ? journey : journey?.run;
+  if (typeof run !== "function") {
+    throw new Error(
+      `Script ${resolved} must export a function or a run() function`
+    );
+  }
+  return run;
+}
+
+// Launching Chrome only makes sense when the debugging host is this machine
+function isLocalHost(host) {
+  return ["localhost", "127.0.0.1", "::1", "[::1]"].includes(host);
+}
+
+// Add to utility functions
+class BoundedArray {
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.array = [];
+    this.overflowed = false;
+  }
+
+  push(item) {
+    if (this.array.length >= this.maxSize) {
+      // Remove oldest item when at capacity
+      this.array.shift();
+      this.overflowed = true;
+    }
+    this.array.push(item);
+    return this.array.length;
+  }
+
+  get length() {
+    return this.array.length;
+  }
+
+  getItems() {
+    return this.array;
+  }
+
+  clear() {
+    this.array = [];
+    this.overflowed = false;
+  }
+}
+
+// Append-only NDJSON journal of captured events. Records are queued and
+// written in batches by one asynchronous write at a time, so capturing never
+// waits on the disk; a killed process loses at most the batch being written.
+// The file is synced in the background every second, so about a second is
+// lost on power failure.
+class EventJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = fs.openSync(filePath, "a");
+    this.queue = [];
+    this.writing = false;
+    this.syncing = false;
+    this.dirty = false;
+    this.idleCallbacks = [];
+    this.syncTimer = setInterval(() => this.sync(), JOURNAL_SYNC_INTERVAL_MS);
+    this.syncTimer.unref();
+  }
+
+  append(type, tabId, data) {
+    if (this.fd === null) return;
+    this.queue.push(
+      encodeJournalRecord({ type, tabId, time: Date.now(), ...data }) + "\n"
+    );
+    if (!this.writing) this.writeQueued();
+  }
+
+  // Write everything queued so far in one go, then whatever was queued
+  // meanwhile
+  writeQueued() {
+    if (this.fd === null || this.queue.length === 0) {
+      this.writing = false;
+      this.idleCallbacks.splice(0).forEach((callback) => callback());
+      return;
+    }
+    this.writing = true;
+    const data = this.queue.join("");
+    this.queue = [];
+    fs.write(this.fd, data, null, "utf8", (err) => {
+      if (err) {
+        clearStatusLine();
+        console.warn(`Journal disabled after write error: ${err.message}`);
+        this.queue = [];
+        this.closeFile();
+      } else {
+        this.dirty = true;
+      }
+      this.writeQueued();
+    });
+  }
+
+  sync() {
+    if (this.fd === null || !this.dirty || this.syncing) return;
+    this.dirty = false;
+    this.syncing = true;
+    fs.fdatasync(this.fd, (err) => {
+      this.syncing = false;
+      if (err) this.dirty = true; // Retried on the next interval
+    });
+  }
+
+  // Write what is still queued, then sync and close the file
+  async close() {
+    if (this.fd === null) return;
+    clearInterval(this.syncTimer);
+    if (this.writing) {
+      await new Promise((resolve) => this.idleCallbacks.push(resolve));
+    }
+    if (this.fd === null) return;
+    try {
+      await promisify(fs.fdatasync)(this.fd);
+    } catch {
+      // Nothing more to do at this point
+    }
+    this.closeFile();
+  }
+
+  closeFile() {
+    if (this.fd === null) return;
+    clearInterval(this.syncTimer);
+    const fd = this.fd;
+    this.fd = null;
+    fs.close(fd, () => {}); // Already closed
+  }
+}
+
+// Add to utility functions
+const chalk = require("chalk"); // If not installed, will be handled gracefully
+chalk.level = 1;
+
+// Helper for colorized output with fallback for environments without chalk
+const colors = {
+  info: (text) => {
+    try {
+      return chalk ? chalk.blue(text) : text;
+    } catch {
+      return text;
+    }
+  },
+  success: (text) => {
+    try {
+      return chalk ? chalk.green(text) : text;
+    } catch {
+      return text;
+    }
+  },
+  warning: (text) => {
+    try {
+      return chalk ? chalk.yellow(text) : text;
+    } catch {
+      return text;
+    }
+  },
+  error: (text) => {
+    try {
+      return chalk ? chalk.red(text) : text;
+    } catch {
+      return text;
+    }
+  },
+  highlight: (text) => {
+    try {
+      return chalk ? chalk.cyan(text) : text;
+    } catch {
+      return text;
+    }
+  },
+  dim: (text) => {
+    try {
+      return chalk ? chalk.gray(text) : text;
+    } catch {
+      return text;
+    }
+  },
+};
+
+// UI State
+const uiState = {
+  showAdvanced: false,
+  lastKeypress: Date.now(),
+  showHelp: false,
+  sessionStart: new Date(),
+  spinnerState: 0,
+  spinnerFrames: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
+};
+
+// Helper to format numbers for display
+function formatNumber(num) {
+  if (num >= 1000000) {
+    return (num / 1000000).toFixed(1) + "M";
+  } else if (num >= 1000) {
+    return (num / 1000).toFixed(1) + "K";
+  }
+  return num.toString();
+}
+
+// Helper to format a byte count for display
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)}${units[unit]}`;
+}
+
+// Helper to format time elapsed
+function formatTimeElapsed(startTime) {
+  return formatDuration(Date.now() - startTime);
+}
+
+// Helper to format a duration in milliseconds
+function formatDuration(durationMs) {
+  const elapsed = Math.floor(durationMs / 1000);
+  const hours = Math.floor(elapsed / 3600);
+  const minutes = Math.floor((elapsed % 3600) / 60);
+  const seconds = elapsed % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  } else if (minutes > 0) {
+    return `${minutes}m ${seconds}s`;
+  } else {
+    return `${seconds}s`;
+  }
+}
+
+// Show help menu
+function showHelp() {
+  process.stdout.write("\n\n");
+  console.log(colors.highlight("=== Chrome Logger Help ==="));
+  console.log(colors.info("Available commands:"));
+  console.log(`  ${colors.success("h")} - Show/hide this help menu`);
+  console.log(`  ${colors.success("a")} - Toggle advanced metrics display`);
+  console.log(`  ${colors.success("f")} - Force flush all data to disk`);
+  console.log(`  ${colors.success("s")} - Show session summary`);
+  console.log(
+    `  ${colors.success("q")} - Quit (closes the logger, not Chrome)`
+  );
+  console.log("\nYour data is being saved to:");
+  console.log(
+    `  ${colors.highlight(sessionDir || "Session directory not yet created")}`
+  );
+  console.log("\nPress any key to return to the main display");
+}
+
+// Show a simplified status display
+function showSimpleStatus() {
+  // Get current spinner frame
+  uiState.spinnerState =
+    (uiState.spinnerState + 1) % uiState.spinnerFrames.length;
+  const spinner = uiState.spinnerFrames[uiState.spinnerState];
+
+  // Format time running
+  const timeRunning = formatTimeElapsed(uiState.sessionStart);
+
+  // Basic info
   const networkCount = formatNumber(progressStats.networkEvents);
   const consoleCount = formatNumber(progressStats.consoleLogs);
   const errorWarningInfo =
@@ -289,759 +1930,3856 @@ function showSimpleStatus() {
               : ""
           })`
         )
-      : "";
+      : "";
+
+  // Create status line
+  let statusLine = `${colors.info(spinner)} Recording for ${colors.highlight(
+    timeRunning
+  )} | ${colors.success(networkCount)} requests | ${colors.success(
+    consoleCount
+  )} logs ${errorWarningInfo} | ${colors.info(progressStats.activeTabs)} tabs`;
+
+  // Return the basic status line if advanced info is not requested
+  if (!uiState.showAdvanced) {
+    statusLine += colors.dim(" | Press h for help");
+    return statusLine;
+  }
+
+  // Add advanced info if requested
+  const memoryUsage = process.memoryUsage();
+  const heapUsedMB = Math.round(memoryUsage.heapUsed / 1024 / 1024);
+  const heapTotalMB = Math.round(memoryUsage.heapTotal / 1024 / 1024);
+
+  statusLine += `\n${colors.dim(
+    "Mem:"
+  )} ${heapUsedMB}/${heapTotalMB}MB | ${colors.dim("Flushed:")} ${formatNumber(
+    flushStats.totalNetworkEventsFlushed
+  )} reqs, ${formatNumber(
+    Object.values(flushStats.totalConsoleLogsFlushed).reduce(
+      (sum, count) => sum + count,
+      0
+    )
+  )} logs`;
+
+  return statusLine;
+}
+
+// Clear the status line - only meaningful when the spinner is drawn on a terminal
+function clearStatusLine() {
+  if (RUN_CONFIG.headless || !process.stdout.isTTY) return;
+  process.stdout.clearLine();
+  process.stdout.cursorTo(0);
+}
+
+// Print a machine-readable progress line in headless mode
+function emitHeadlessEvent(type, data = {}) {
+  if (!RUN_CONFIG.headless) return;
+  console.log(
+    JSON.stringify({ type, time: new Date().toISOString(), ...data })
+  );
+}
+
+// Replace updateStatusLine with enhanced version
+const updateStatusLine = throttle((force = false) => {
+  const now = Date.now();
+  // Only update if forced or if enough time has passed since last update
+  if (
+    !force &&
+    now - progressStats.lastUpdate < progressStats.updateFrequencyMs
+  ) {
+    return;
+  }
+
+  progressStats.lastUpdate = now;
+
+  // Headless mode reports progress on its own lines instead of a spinner
+  if (RUN_CONFIG.headless || !process.stdout.isTTY) return;
+
+  // Clear the current line and move cursor to beginning
+  clearStatusLine();
+
+  // If help is showing, don't update status
+  if (uiState.showHelp) return;
+
+  // Write the status line
+  process.stdout.write(showSimpleStatus());
+}, progressStats.updateFrequencyMs);
+
+// Set up keyboard input handling
+function setupKeyboardHandling() {
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding("utf8");
+
+    process.stdin.on("data", async (key) => {
+      // Detect Ctrl+C to exit
+      if (key === "\u0003") {
+        console.log("\nExiting...");
+        process.exit();
+      }
+
+      // Other key commands
+      switch (key.toLowerCase()) {
+        case "h": // Toggle help
+          uiState.showHelp = !uiState.showHelp;
+          if (uiState.showHelp) {
+            showHelp();
+          } else {
+            console.clear();
+            updateStatusLine(true);
+          }
+          break;
+
+        case "a": // Toggle advanced display
+          uiState.showAdvanced = !uiState.showAdvanced;
+          updateStatusLine(true);
+          break;
+
+        case "f": // Force flush
+          clearStatusLine();
+          console.log(colors.info("Manually flushing data to disk..."));
+          await performMemoryCheck(true);
+          updateStatusLine(true);
+          break;
+
+        case "s": // Show session summary
+          clearStatusLine();
+
+          console.log(colors.highlight("\n=== Session Summary ==="));
+          console.log(
+            `Running for: ${formatTimeElapsed(uiState.sessionStart)}`
+          );
+          console.log(`Active browser tabs: ${progressStats.activeTabs}`);
+          console.log(`Total network requests: ${progressStats.networkEvents}`);
+          console.log(`Total console logs: ${progressStats.consoleLogs}`);
+
+          if (progressStats.errorLogs > 0) {
+            console.log(
+              colors.error(`Errors detected: ${progressStats.errorLogs}`)
+            );
+          }
+          if (progressStats.warningLogs > 0) {
+            console.log(
+              colors.warning(`Warnings detected: ${progressStats.warningLogs}`)
+            );
+          }
+
+          console.log(
+            colors.info(`\nAll data is being saved to: ${sessionDir}`)
+          );
+          console.log(colors.dim("Press any key to continue..."));
+
+          // Wait for keypress to continue
+          await waitForKeypress();
+          console.clear();
+          updateStatusLine(true);
+          break;
+
+        case "q": // Quit (but keep Chrome running)
+          clearStatusLine();
+          console.log(colors.info("Saving final data and exiting..."));
+          // This will naturally exit when complete
+          // Force disconnect from browser to trigger cleanup
+          if (browser) {
+            browser.disconnect();
+          } else {
+            process.exit(0);
+          }
+          break;
+
+        default:
+          // Any other key just updates the UI
+          if (uiState.showHelp) {
+            uiState.showHelp = false;
+            console.clear();
+          }
+          updateStatusLine(true);
+          break;
+      }
+    });
+  }
+}
+
+// Function to find Chrome executable in the system
+const findChromeExecutable = () => {
+  console.log("Searching for Chrome installation...");
+  const platform = os.platform();
+
+  // Array of common Chrome installation paths by platform
+  const commonChromePaths = {
+    win32: [
+      // Windows paths in order of priority
+      process.env["PROGRAMFILES(X86)"] +
+        "\\Google\\Chrome\\Application\\chrome.exe",
+      process.env["PROGRAMFILES"] + "\\Google\\Chrome\\Application\\chrome.exe",
+      process.env["LOCALAPPDATA"] + "\\Google\\Chrome\\Application\\chrome.exe",
+      // Canary paths
+      process.env["LOCALAPPDATA"] +
+        "\\Google\\Chrome SxS\\Application\\chrome.exe",
+    ],
+    darwin: [
+      // macOS paths
+      "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+      "/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary",
+      "/Applications/Chromium.app/Contents/MacOS/Chromium",
+      "/usr/bin/google-chrome-stable",
+      "/usr/bin/google-chrome",
+    ],
+    linux: [
+      // Linux paths
+      "/usr/bin/google-chrome",
+      "/usr/bin/google-chrome-stable",
+      "/usr/bin/chromium",
+      "/usr/bin/chromium-browser",
+      "/snap/bin/chromium",
+    ],
+  };
+
+  // Get Chrome paths for current platform (defaults to Linux paths if platform is not recognized)
+  const chromePaths = commonChromePaths[platform] || commonChromePaths.linux;
+
+  // On Windows, try to get Chrome path from registry using WMIC
+  if (platform === "win32") {
+    try {
+      const wmicOutput = execSync(
+        'wmic datafile where name="chrome.exe" get Version,Name /format:csv',
+        { encoding: "utf-8" }
+      );
+
+      const regPaths = wmicOutput
+        .split("\n")
+        .filter((line) => line.toLowerCase().includes("chrome.exe"))
+        .map((line) => {
+          // Extract path from the WMIC output
+          const parts = line.split(",");
+          return parts.length >= 2 ? parts[1].trim() : null;
+        })
+        .filter(Boolean);
+
+      // Add registry-found paths to our search list
+      if (regPaths.length > 0) {
+        chromePaths.push(...regPaths);
+      }
+    } catch {
+      // Registry lookup failed, continue with known paths
+      console.log("Registry lookup failed, using predefined paths");
+    }
+  }
+
+  // Check if Chrome paths exist
+  for (const chromePath of chromePaths) {
+    if (chromePath && fs.existsSync(chromePath)) {
+      console.log(`Found Chrome at: ${chromePath}`);
+      return chromePath;
+    }
+  }
+
+  // If Chrome is not found, try to use 'where' command on Windows or 'which' on Unix
+  try {
+    let command = platform === "win32" ? "where chrome" : "which google-chrome";
+    const chromePath = execSync(command, { encoding: "utf-8" }).trim();
+    if (chromePath && fs.existsSync(chromePath)) {
+      console.log(`Found Chrome using system PATH: ${chromePath}`);
+      return chromePath;
+    }
+  } catch {
+    // Command failed, Chrome isn't in PATH
+  }
+
+  console.log("Chrome executable not found in common locations.");
+  return null;
+};
+
+// Chrome process and profile started by launchChrome, if any
+let launchedChromeProcess = null;
+let launchedChromeProfileDir = null;
+
+// Function to launch Chrome with debug port if it's not running
+const launchChrome = async (chromePath, { headless = false } = {}) => {
+  if (!chromePath) {
+    console.error("Cannot launch Chrome: No executable path provided");
+    return false;
+  }
+
+  console.log(`Attempting to launch Chrome from: ${chromePath}`);
+
+  try {
+    // Check if Chrome is already running with remote debugging
+    const isRunning = await isChromeReachable();
+    if (isRunning.success) {
+      console.log("Chrome is already running with remote debugging enabled");
+      return true;
+    }
+
+    // Launch Chrome with remote debugging enabled
+    const args = [
+      `--remote-debugging-port=${RUN_CONFIG.port}`,
+      "--no-first-run",
+      "--no-default-browser-check",
+    ];
+
+    // Headless runs get a throwaway profile so they never touch the user's Chrome
+    if (headless) {
+      launchedChromeProfileDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "chromelogs-profile-")
+      );
+      args.push(
+        "--headless=new",
+        `--user-data-dir=${launchedChromeProfileDir}`
+      );
+    }
+
+    console.log(`Launching Chrome with args: ${args.join(" ")}`);
+
+    // Use spawn instead of exec to avoid hanging
+    const chromeProcess = spawn(chromePath, args, {
+      detached: true, // Detach from parent process
+      stdio: "ignore", // Avoid hanging the Node process
+    });
+    launchedChromeProcess = chromeProcess;
+
+    // Detach the child process so it doesn't keep the Node.js process alive
+    chromeProcess.unref();
+
+    // Wait for Chrome to start and become available
+    console.log("Waiting for Chrome to start...");
+    for (let attempts = 1; attempts <= 10; attempts++) {
+      await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second between attempts
+
+      const checkResult = await isChromeReachable();
+      if (checkResult.success) {
+        console.log(
+          "Chrome successfully launched with remote debugging enabled"
+        );
+        return true;
+      }
+
+      console.log(
+        `Waiting for Chrome to become available (attempt ${attempts}/10)...`
+      );
+    }
+
+    console.error("Failed to launch Chrome after multiple attempts");
+    return false;
+  } catch (error) {
+    console.error(`Error launching Chrome: ${error.message}`);
+    return false;
+  }
+};
+
+// Wait for user to press any key
+const waitForKeypress = async () => {
+  // Nobody can press a key without a terminal
+  if (!process.stdin.isTTY) return;
+
+  process.stdin.setRawMode(true);
+  return new Promise((resolve) =>
+    process.stdin.once("data", () => {
+      process.stdin.setRawMode(false);
+      resolve();
+    })
+  );
+};
+
+// Check if Chrome is running with debug port open
+const isChromeReachable = () => {
+  return new Promise((resolve) => {
+    const req = http.request(
+      {
+        hostname: RUN_CONFIG.host,
+        port: RUN_CONFIG.port,
+        path: "/json/version",
+        method: "GET",
+        timeout: 3000,
+      },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => {
+          try {
+            const version = JSON.parse(data);
+            resolve({
+              success: true,
+              url: version.webSocketDebuggerUrl,
+              version,
+            });
+          } catch {
+            resolve({ success: false });
+          }
+        });
+      }
+    );
+
+    req.on("error", () => resolve({ success: false }));
+    req.end();
+  });
+};
+
+// Add to utility functions
+const headerCache = new Map();
+
+function formatHeaders(headers) {
+  if (!headers) return [];
+
+  // Create a cache key from headers object
+  const cacheKey = JSON.stringify(headers);
+
+  // Check cache first
+  if (headerCache.has(cacheKey)) {
+    return headerCache.get(cacheKey);
+  }
+
+  // Format headers - ensure name field is included. CDP joins repeated
+  // headers (e.g. Set-Cookie) with newlines, DevTools lists them separately
+  const formatted = Object.entries(headers).flatMap(([name, value]) =>
+    String(value)
+      .split("\n")
+      .map((line) => ({
+        name, // Chrome includes the name field
+        value: line,
+      }))
+  );
+
+  // Cache the result (with limit to prevent memory leaks)
+  if (headerCache.size < 1000) {
+    headerCache.set(cacheKey, formatted);
+  }
+
+  return formatted;
+}
+
+function extractQueryString(url) {
+  try {
+    const parsedUrl = new URL(url);
+    return Array.from(parsedUrl.searchParams.entries()).map(
+      ([name, value]) => ({ name, value: String(value) })
+    );
+  } catch {
+    return [];
+  }
+}
+
+// Map a CDP protocol name to the httpVersion string DevTools writes
+function formatHttpVersion(protocol) {
+  if (!protocol) return "";
+  const name = protocol.toLowerCase();
+  if (name === "h2") return "http/2.0";
+  if (name.startsWith("h3")) return "http/3.0";
+  return name;
+}
+
+// Build HAR timings from CDP data the same way DevTools' HARLog does.
+// All CDP timestamps are in seconds, ResourceTiming offsets in milliseconds.
+function buildHarTimings(pending, endTime) {
+  const toMilliseconds = (time) => (time === -1 ? -1 : time * 1000);
+  const leastNonNegative = (values) =>
+    values.reduce(
+      (best, value) => (value >= 0 && value < best ? value : best),
+      Infinity
+    );
+
+  const timing = pending.timing;
+  const issueTime = pending.issueTime;
+  const startTime = timing ? timing.requestTime : issueTime;
+
+  const queuedTime = issueTime < startTime ? startTime - issueTime : -1;
+  const result = {
+    blocked: toMilliseconds(queuedTime),
+    dns: -1,
+    ssl: -1,
+    connect: -1,
+    send: 0,
+    wait: 0,
+    receive: 0,
+    _blocked_queueing: toMilliseconds(queuedTime),
+  };
+
+  let highestTime = 0;
+  if (timing) {
+    // "blocked" here represents both queued + blocked/stalled + proxy
+    const blockedStart = leastNonNegative([
+      timing.dnsStart,
+      timing.connectStart,
+      timing.sendStart,
+    ]);
+    if (blockedStart !== Infinity) {
+      result.blocked += blockedStart;
+    }
+
+    if (timing.proxyEnd !== -1) {
+      result._blocked_proxy = timing.proxyEnd - timing.proxyStart;
+      if (result._blocked_proxy > result.blocked) {
+        result.blocked = result._blocked_proxy;
+      }
+    }
+
+    const dnsStart = timing.dnsEnd >= 0 ? blockedStart : 0;
+    const dnsEnd = timing.dnsEnd >= 0 ? timing.dnsEnd : -1;
+    result.dns = dnsEnd - dnsStart;
+
+    // SSL timing is included in connection timing
+    const sslStart = timing.sslEnd > 0 ? timing.sslStart : 0;
+    const sslEnd = timing.sslEnd > 0 ? timing.sslEnd : -1;
+    result.ssl = sslEnd - sslStart;
+
+    const connectStart =
+      timing.connectEnd >= 0 ? leastNonNegative([dnsEnd, blockedStart]) : 0;
+    const connectEnd = timing.connectEnd >= 0 ? timing.connectEnd : -1;
+    result.connect = connectEnd - connectStart;
+
+    // Send should not be -1 for legacy reasons even if it is served from cache
+    const sendStart =
+      timing.sendEnd >= 0 ? Math.max(connectEnd, dnsEnd, blockedStart) : 0;
+    const sendEnd = timing.sendEnd >= 0 ? timing.sendEnd : 0;
+    result.send = Math.max(sendEnd - sendStart, 0);
+
+    highestTime = Math.max(
+      sendEnd,
+      connectEnd,
+      sslEnd,
+      dnsEnd,
+      blockedStart,
+      0
+    );
+
+    result._workerStart = timing.workerStart;
+    result._workerReady = timing.workerReady;
+    result._workerFetchStart = timing.workerFetchStart;
+    result._workerRespondWithSettled = timing.workerRespondWithSettled;
+  }
+
+  if (pending.responseReceivedTime !== -1) {
+    const waitEnd = toMilliseconds(pending.responseReceivedTime - startTime);
+    result.wait = Math.max(waitEnd - highestTime, 0);
+
+    if (endTime !== -1) {
+      const receiveEnd = toMilliseconds(endTime - startTime);
+      result.receive = Math.max(receiveEnd - waitEnd, 0);
+    }
+  }
+
+  return result;
+}
+
+// Total entry time is the sum of all non-negative phases (ssl is part of connect)
+function getHarEntryTime(timings) {
+  return ["blocked", "dns", "connect", "send", "wait", "receive"].reduce(
+    (total, phase) => total + Math.max(timings[phase], 0),
+    0
+  );
+}
+
+// Check a MIME type against patterns like "text/*" or "application/*+json"
+function isMimeTypeAllowed(mimeType, patterns) {
+  const type = (mimeType || "").split(";")[0].trim().toLowerCase();
+  if (!type) return false;
+
+  return patterns.some((pattern) => {
+    const regex = new RegExp(
+      "^" +
+        pattern
+          .toLowerCase()
+          .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, "[^/]*") +
+        "$"
+    );
+    return regex.test(type);
+  });
+}
+
+// Look up a header value case-insensitively in a CDP headers object
+function getHeaderValue(headers, name) {
+  const lowerName = name.toLowerCase();
+  const match = Object.entries(headers || {}).find(
+    ([headerName]) => headerName.toLowerCase() === lowerName
+  );
+  return match ? String(match[1]) : "";
+}
+
+// Parse a Cookie request header into HAR cookies
+function parseCookieHeader(header) {
+  if (!header) return [];
+
+  return header
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf("=");
+      return {
+        name: separator === -1 ? "" : pair.substring(0, separator).trim(),
+        value: separator === -1 ? pair : pair.substring(separator + 1).trim(),
+        path: "",
+        domain: "",
+        expires: null,
+        httpOnly: false,
+        secure: false,
+      };
+    });
+}
+
+// Parse Set-Cookie response header lines into HAR cookies. Max-Age is
+// resolved against the time the response was received.
+function parseSetCookieHeader(header, receivedAt = Date.now()) {
+  if (!header) return [];
+
+  return header
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pair, ...attributes] = line.split(";");
+      const separator = pair.indexOf("=");
+      const cookie = {
+        name: separator === -1 ? "" : pair.substring(0, separator).trim(),
+        value:
+          separator === -1 ? pair.trim() : pair.substring(separator + 1).trim(),
+        path: "",
+        domain: "",
+        expires: null,
+        httpOnly: false,
+        secure: false,
+      };
+
+      let maxAge = null;
+      for (const attribute of attributes) {
+        const [rawKey, ...rawValue] = attribute.split("=");
+        const key = rawKey.trim().toLowerCase();
+        const value = rawValue.join("=").trim();
+
+        if (key === "path") cookie.path = value;
+        else if (key === "domain") cookie.domain = value;
+        else if (key === "httponly") cookie.httpOnly = true;
+        else if (key === "secure") cookie.secure = true;
+        else if (key === "samesite") cookie.sameSite = value;
+        else if (key === "max-age") maxAge = parseInt(value, 10);
+        else if (key === "expires") {
+          const expires = new Date(value);
+          if (!isNaN(expires)) cookie.expires = expires.toISOString();
+        }
+      }
+
+      // Max-Age takes precedence over Expires
+      if (maxAge !== null && !isNaN(maxAge)) {
+        cookie.expires = new Date(receivedAt + maxAge * 1000).toISOString();
+      }
+
+      return cookie;
+    });
+}
+
+// Convert a CDP Network.Cookie into a HAR cookie
+function cdpCookieToHar(cookie) {
+  const harCookie = {
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path || "",
+    domain: cookie.domain || "",
+    expires:
+      cookie.session || cookie.expires === -1
+        ? null
+        : new Date(cookie.expires * 1000).toISOString(),
+    httpOnly: !!cookie.httpOnly,
+    secure: !!cookie.secure,
+  };
+  if (cookie.sameSite) {
+    harCookie.sameSite = cookie.sameSite;
+  }
+  return harCookie;
+}
+
+// Apply Network.requestWillBeSentExtraInfo, which carries the headers and
+// cookies actually sent on the wire (requestWillBeSent omits Cookie)
+function applyRequestExtraInfo(pending, extraInfo) {
+  const request = pending.entry.request;
+
+  if (extraInfo.headers) {
+    request.headers = formatHeaders(extraInfo.headers);
+  }
+
+  const sentCookies = (extraInfo.associatedCookies || []).filter(
+    ({ blockedReasons }) => !blockedReasons || blockedReasons.length === 0
+  );
+  request.cookies =
+    sentCookies.length > 0
+      ? sentCookies.map(({ cookie }) => cdpCookieToHar(cookie))
+      : parseCookieHeader(getHeaderValue(extraInfo.headers, "cookie"));
+}
+
+// Apply Network.responseReceivedExtraInfo, which carries the raw response
+// headers including Set-Cookie lines hidden from responseReceived
+function applyResponseExtraInfo(pending, extraInfo) {
+  const response = pending.entry.response;
+
+  if (extraInfo.headers) {
+    response.headers = formatHeaders(extraInfo.headers);
+    response.cookies = parseSetCookieHeader(
+      getHeaderValue(extraInfo.headers, "set-cookie"),
+      pending.receivedAt
+    );
+  }
+  if (extraInfo.headersText) {
+    response.headersSize = extraInfo.headersText.length;
+  }
+}
+
+// Split a multipart/form-data body into HAR params
+function parseMultipartParams(text, mimeType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(mimeType);
+  if (!boundaryMatch) return [];
+
+  const boundary = "--" + (boundaryMatch[1] || boundaryMatch[2]).trim();
+  const params = [];
+
+  for (const part of text.split(boundary).slice(1)) {
+    // The closing boundary is followed by "--"
+    if (part.startsWith("--")) break;
+
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd === -1) continue;
+
+    const partHeaders = part.substring(0, headerEnd);
+    const value = part.substring(headerEnd + 4).replace(/\r\n$/, "");
+    const name = /(?:^|[\s;])name="([^"]*)"/i.exec(partHeaders);
+    if (!name) continue;
+
+    const param = { name: name[1], value };
+    const fileName = /filename="([^"]*)"/i.exec(partHeaders);
+    if (fileName) {
+      param.fileName = fileName[1];
+      const contentType = /content-type:\s*([^\r\n]+)/i.exec(partHeaders);
+      if (contentType) {
+        param.contentType = contentType[1].trim();
+      }
+    }
+    params.push(param);
+  }
+
+  return params;
+}
+
+// Build a HAR postData block with parsed params for form encodings
+function buildHarPostData(text, mimeType) {
+  const postData = { mimeType: mimeType || "", text, params: [] };
+  const type = postData.mimeType.toLowerCase();
+
+  try {
+    if (type.startsWith("application/x-www-form-urlencoded")) {
+      postData.params = Array.from(
+        new URLSearchParams(text).entries(),
+        ([name, value]) => ({ name, value })
+      );
+    } else if (type.startsWith("multipart/form-data")) {
+      postData.params = parseMultipartParams(text, postData.mimeType);
+    }
+  } catch {
+    // Keep the raw text if the body doesn't parse
+  }
+
+  return postData;
+}
+
+// Text for one console argument as DevTools prints it: primitives by value,
+// objects by their description (e.g. "Array(3)")
+function formatRemoteObject(remoteObject) {
+  if (remoteObject.unserializableValue) {
+    return remoteObject.unserializableValue;
+  }
+  if ("value" in remoteObject) {
+    return typeof remoteObject.value === "object" && remoteObject.value
+      ? JSON.stringify(remoteObject.value)
+      : String(remoteObject.value);
+  }
+  return remoteObject.description || remoteObject.type;
+}
+
+// Attach a request body to a HAR entry, fetching it when CDP left it out
+async function captureRequestPostData(cdpSession, entry, params) {
+  const request = params.request;
+  if (!CAPTURE_CONFIG.capturePostData || !request.hasPostData) {
+    return;
+  }
+
+  let text = request.postData;
+  if (text === undefined) {
+    // Large bodies are not inlined in requestWillBeSent
+    try {
+      ({ postData: text } = await cdpSession.send(
+        "Network.getRequestPostData",
+        { requestId: params.requestId }
+      ));
+    } catch {
+      // Body may be unavailable (e.g. file uploads or streamed bodies)
+      return;
+    }
+  }
+  if (typeof text !== "string") return;
+
+  entry.request.postData = redactor.redactPostData(
+    buildHarPostData(text, getHeaderValue(request.headers, "content-type"))
+  );
+  entry.request.bodySize = Buffer.byteLength(text);
+}
+
+// Fill in HAR size fields once CDP reports the final encoded length
+function setHarResponseSizes(pending, encodedDataLength) {
+  const response = pending.entry.response;
+  const content = response.content;
+
+  response._transferSize = encodedDataLength;
+  content.size = pending.resourceSize;
+
+  // Cached responses transfer no body
+  if (pending.fromCache || response.status === 304) {
+    response.bodySize = 0;
+  } else if (response.headersSize >= 0) {
+    response.bodySize = Math.max(encodedDataLength - response.headersSize, 0);
+  }
+
+  if (response.bodySize > 0 && content.size > response.bodySize) {
+    content.compression = content.size - response.bodySize;
+  }
+}
+
+// Store a response body in HAR content, honoring the capture settings
+async function captureResponseBody(cdpSession, pending, requestId) {
+  const content = pending.entry.response.content;
+
+  if (
+    !CAPTURE_CONFIG.captureResponseBodies ||
+    !isMimeTypeAllowed(content.mimeType, CAPTURE_CONFIG.responseBodyMimeTypes)
+  ) {
+    return;
+  }
+
+  if (pending.resourceSize > CAPTURE_CONFIG.maxResponseBodySize) {
+    content.comment = `Body not captured: ${pending.resourceSize} bytes exceeds maxResponseBodySize`;
+    return;
+  }
+
+  try {
+    const { body, base64Encoded } = await cdpSession.send(
+      "Network.getResponseBody",
+      { requestId }
+    );
+    const bodyBuffer = Buffer.from(body, base64Encoded ? "base64" : "utf8");
+
+    // The decoded size may be larger than reported when data arrived without dataReceived events
+    if (bodyBuffer.length > CAPTURE_CONFIG.maxResponseBodySize) {
+      content.comment = `Body not captured: ${bodyBuffer.length} bytes exceeds maxResponseBodySize`;
+      return;
+    }
+
+    content.text = base64Encoded
+      ? body
+      : redactor.redactBody(body, content.mimeType);
+    if (base64Encoded) {
+      content.encoding = "base64";
+    }
+    if (content.size <= 0) {
+      content.size = bodyBuffer.length;
+    }
+  } catch (e) {
+    // Bodies are unavailable for some requests (e.g. redirects or evicted data)
+    content.comment = `Body not captured: ${e.message}`;
+  }
+}
+
+// Copy a CDP Network.Response onto the HAR entry of a pending request
+function applyCdpResponse(pending, response, timestamp) {
+  const { entry } = pending;
+  const httpVersion = formatHttpVersion(response.protocol);
+
+  pending.timing = response.timing || null;
+  pending.responseReceivedTime = timestamp;
+  pending.receivedAt = Date.now();
+  pending.fromCache = !!(response.fromDiskCache || response.fromPrefetchCache);
+
+  // DevTools reports the start of the request, not the time it was queued
+  if (response.timing) {
+    entry.startedDateTime = new Date(
+      (pending.wallTime + (response.timing.requestTime - pending.issueTime)) *
+        1000
+    ).toISOString();
+  }
+
+  entry.request.httpVersion = httpVersion;
+  if (response.requestHeaders) {
+    entry.request.headers = formatHeaders(response.requestHeaders);
+    entry.request.cookies = parseCookieHeader(
+      getHeaderValue(response.requestHeaders, "cookie")
+    );
+  }
+
+  // Create response object more efficiently
+  entry.response = {
+    status: response.status,
+    statusText: response.statusText || "",
+    httpVersion,
+    headers: formatHeaders(response.headers),
+    cookies: parseSetCookieHeader(
+      getHeaderValue(response.headers, "set-cookie"),
+      pending.receivedAt
+    ),
+    content: {
+      size: -1,
+      mimeType: response.mimeType || "",
+    },
+    redirectURL: "",
+    headersSize: response.headersText ? response.headersText.length : -1,
+    bodySize: -1,
+    _transferSize: response.encodedDataLength || 0,
+    _error: null,
+    _fetchedViaServiceWorker: !!response.fromServiceWorker,
+  };
+
+  entry.serverIPAddress = (response.remoteIPAddress || "").replace(
+    /^\[|\]$/g,
+    ""
+  );
+  if (response.connectionId !== undefined) {
+    entry.connection = String(response.connectionId);
+    entry._connectionId = String(response.connectionId);
+  }
+
+  // Extra info may have arrived before the response itself
+  if (pending.responseExtraInfo) {
+    applyResponseExtraInfo(pending, pending.responseExtraInfo);
+    pending.responseExtraInfo = null;
+  }
+
+  // Provisional timings until loading finishes
+  Object.assign(entry.timings, buildHarTimings(pending, -1));
+  entry.time = getHarEntryTime(entry.timings);
+}
+
+// Finish a pending request: finalize its timings, record an optional error
+// and stop tracking it
+function completePendingRequest(tabId, requestId, endTime, errorText = null) {
+  const tabPending = pendingRequests.get(tabId);
+  const pending = tabPending?.get(requestId);
+  if (!pending) return null;
+
+  const { entry } = pending;
+  Object.assign(entry.timings, buildHarTimings(pending, endTime));
+  entry.time = getHarEntryTime(entry.timings);
+  if (errorText) {
+    entry.response._error = errorText;
+  }
+  journalPendingRequest(tabId, requestId, "network");
+  redactor.redactEntry(entry);
+
+  // Clean up map to prevent memory leaks
+  tabPending.delete(requestId);
+  return entry;
+}
+
+// Flag every request of a tab that is still in flight as incomplete, used
+// when the tab closes or the recording stops
+function abandonPendingRequests(tabId) {
+  const tabPending = pendingRequests.get(tabId);
+  if (!tabPending) return;
+
+  for (const [requestId, { entry }] of tabPending) {
+    if (!entry.response._error) {
+      entry.response._error = INCOMPLETE_REQUEST_ERROR;
+    }
+    journalPendingRequest(tabId, requestId, "network");
+    redactor.redactEntry(entry);
+  }
+  tabPending.clear();
+}
+
+// Journal what changed in a request's entry since its last record, so it
+// survives a crash. `stage` is "request" when it starts, "response" when the
+// response arrives and "network" when it completes. The first record holds
+// the whole entry; later ones only the top-level and request fields that
+// were replaced since, plus the response and timings, which are updated in
+// place. The record is a redacted shallow copy: the entry itself still needs
+// its original values until it completes.
+function journalPendingRequest(tabId, requestId, stage) {
+  const pending = pendingRequests.get(tabId)?.get(requestId);
+  if (!eventJournal || !pending) return;
+
+  const { entry } = pending;
+  const previous = pending.journaled || { request: {} };
+  const copy = redactor.redactEntry({
+    ...entry,
+    request: { ...entry.request },
+    response: { ...entry.response },
+  });
+  const delta = { request: {} };
+  for (const key of Object.keys(entry)) {
+    if (
+      key !== "request" &&
+      (key === "response" || key === "timings" || entry[key] !== previous[key])
+    ) {
+      delta[key] = copy[key];
+    }
+  }
+  for (const key of Object.keys(entry.request)) {
+    if (entry.request[key] !== previous.request[key]) {
+      delta.request[key] = copy.request[key];
+    }
+  }
+  pending.journaled = { ...entry, request: { ...entry.request } };
+  eventJournal.append(stage, tabId, { requestId, delta });
+}
+
+// Apply a request's journal record to the entry rebuilt from its earlier
+// records
+function applyJournalDelta(entry, delta) {
+  return {
+    ...entry,
+    ...delta,
+    request: { ...entry?.request, ...delta.request },
+  };
+}
+
+// Convert a captured entry into the shape Chrome's own HAR export uses
+function formatHarEntry(entry) {
+  // Reuse timing object for better performance
+  const timings = {
+    blocked: parseFloat((entry.timings?.blocked ?? -1).toFixed(5)),
+    dns: parseFloat((entry.timings?.dns ?? -1).toFixed(5)),
+    ssl: parseFloat((entry.timings?.ssl ?? -1).toFixed(5)),
+    connect: parseFloat((entry.timings?.connect ?? -1).toFixed(5)),
+    send: parseFloat((entry.timings?.send || 0).toFixed(5)),
+    wait: parseFloat((entry.timings?.wait || 0).toFixed(5)),
+    receive: parseFloat((entry.timings?.receive || 0).toFixed(5)),
+    _blocked_queueing: parseFloat(
+      (entry.timings?._blocked_queueing ?? -1).toFixed(5)
+    ),
+    // Add Chrome-specific timing fields
+    _workerStart: entry.timings?._workerStart ?? -1,
+    _workerReady: entry.timings?._workerReady ?? -1,
+    _workerFetchStart: entry.timings?._workerFetchStart ?? -1,
+    _workerRespondWithSettled: entry.timings?._workerRespondWithSettled ?? -1,
+  };
+  if (entry.timings?._blocked_proxy !== undefined) {
+    timings._blocked_proxy = parseFloat(
+      entry.timings._blocked_proxy.toFixed(5)
+    );
+  }
+
+  // Create a request object that matches Chrome's format
+  const request = entry.request || {};
+  const chromeRequest = {
+    method: request.method || "GET",
+    url: request.url || "",
+    httpVersion: request.httpVersion || "http/2.0",
+    headers: request.headers || [],
+    queryString: request.queryString || [],
+    cookies: request.cookies || [],
+    headersSize: request.headersSize || -1,
+    bodySize: request.bodySize || 0,
+  };
+  if (request.postData) {
+    chromeRequest.postData = request.postData;
+  }
+
+  // Create a response object that matches Chrome's format
+  const response = entry.response || {};
+  const chromeResponse = {
+    status: response.status || 0,
+    statusText: response.statusText || "",
+    httpVersion: response.httpVersion || "http/2.0",
+    headers: response.headers || [],
+    cookies: response.cookies || [],
+    content: response.content || {
+      size: 0,
+      mimeType: response.mimeType || "",
+    },
+    redirectURL: response.redirectURL || "",
+    headersSize: response.headersSize || -1,
+    bodySize: response.bodySize || -1,
+    _transferSize: response._transferSize || 0,
+    _error: response._error || null,
+    _fetchedViaServiceWorker: response._fetchedViaServiceWorker || false,
+  };
+
+  // Generate connection ID if not present (Chrome uses numeric strings)
+  const connectionId =
+    entry._connectionId ||
+    (entry.connection
+      ? entry.connection
+      : Math.floor(Math.random() * 9000 + 1000).toString());
+
+  // Create a clean entry that matches Chrome's format exactly
+  return {
+    _connectionId: connectionId,
+    _initiator: entry._initiator || {
+      type: "script",
+      stack: {
+        callFrames: [],
+        parentId: entry._initiator?.stack?.parentId || {},
+      },
+    },
+    _priority: entry._priority || "VeryHigh", // Chrome uses VeryHigh instead of High
+    _resourceType: entry._resourceType || "other",
+    _requestId: entry._requestId,
+    pageref: entry.pageref,
+    cache: {},
+    connection: entry.connection || "443",
+    request: chromeRequest,
+    response: chromeResponse,
+    serverIPAddress: entry.serverIPAddress || "",
+    startedDateTime: entry.startedDateTime,
+    time: parseFloat((entry.time || 0).toFixed(5)),
+    timings: timings,
+    _timestamp: entry._timestamp || Date.now(),
+  };
+}
+
+// Convert tracked page info into a HAR page
+function formatHarPage(page) {
+  return {
+    id: page.id,
+    title: page.title || "",
+    startedDateTime: page.startedDateTime,
+    url: page.url || "",
+    // Add these fields that Chrome includes
+    pageTimings: {
+      onContentLoad: page.pageTimings?.onContentLoad || -1,
+      onLoad: page.pageTimings?.onLoad || -1,
+    },
+  };
+}
+
+// HAR creator block, shared by createHarFile and writeHarFile
+const HAR_CREATOR = {
+  name: "WebInspector",
+  version: "1.0", // Chrome uses "1.0" in some cases, not "537.36"
+};
+
+// Build a HAR document in memory. Only used for bounded sets of entries such
+// as flush chunks; use writeHarFile for anything that can grow with the session
+function createHarFile(entries, pages) {
+  // Handle both Map objects and arrays by ensuring entries is always an array
+  const eventsArray = Array.isArray(entries)
+    ? entries
+    : entries instanceof Map
+    ? Array.from(entries.values()).flat() // If it's a Map of arrays, flatten the values
+    : []; // If it's neither a Map nor an array, use an empty array
+
+  // Create a HAR file that matches Chrome's expected format
+  return {
+    log: {
+      version: "1.2",
+      creator: HAR_CREATOR,
+      pages: pages.map(formatHarPage),
+      entries: eventsArray.map(formatHarEntry),
+    },
+  };
+}
+
+// Count console entries per type, optionally adding to existing counts
+function countEntriesByType(logs, counts) {
+  const entriesByType = counts
+    ? { ...counts }
+    : {
+        log: 0,
+        info: 0,
+        warning: 0,
+        error: 0,
+        debug: 0,
+        other: 0,
+      };
+  for (const log of logs) {
+    // Collapsed entries stand for `count` messages
+    const type = entriesByType.hasOwnProperty(log.type) ? log.type : "other";
+    entriesByType[type] += log.count || 1;
+  }
+  return entriesByType;
+}
+
+// Read a tab's console entries in the order they were captured: every flush
+// file in sequence, then what is still in memory
+async function* readTabConsoleEntries(pageId, tabData) {
+  for (const flushFilePath of tabData.flushFiles || []) {
+    if (!flushFilePath) continue; // Write of this flush failed
+    try {
+      const chunk = await readJsonFile(flushFilePath);
+      yield* chunk.entries || [];
+    } catch (e) {
+      console.warn(
+        `Could not read console flush file ${flushFilePath}: ${e.message}`
+      );
+    }
+  }
+  yield* tabData.logs || [];
+}
+
+// Function to save console logs for all tabs. Each tab's file and the
+// combined file hold every entry of the session, stitched together from the
+// flush files and the in-memory tail, and are streamed to disk so memory use
+// doesn't grow with the session length. Resolves with whether every file was
+// written.
+function saveAllConsoleLogs(sessionDir, allTabsLogs) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      // Create a console logs directory if many tabs
+      let logsDir;
+      const consoleDir = path.join(sessionDir, "console_logs");
+      const hasMultipleTabs = Object.keys(allTabsLogs).length > 1;
+
+      if (hasMultipleTabs && !fs.existsSync(consoleDir)) {
+        try {
+          fs.mkdirSync(consoleDir, { recursive: true });
+          logsDir = consoleDir;
+        } catch (e) {
+          console.warn(`Could not create console logs directory: ${e.message}`);
+          // Fall back to session directory
+          logsDir = sessionDir;
+        }
+      } else {
+        logsDir = fs.existsSync(consoleDir) ? consoleDir : sessionDir;
+      }
+
+      let totalLogEntries = 0;
+      const tabSummaries = [];
+      const savedTabs = [];
+      const savePromises = [];
+
+      // For each tab, create a separate log file - process in parallel for better performance
+      Object.entries(allTabsLogs).forEach(([pageId, tabData], index) => {
+        // Counts of flushed entries plus the in-memory tail. entriesByType
+        // counts every message, including repeats collapsed into one entry.
+        const entriesByType = countEntriesByType(
+          tabData.logs || [],
+          tabData.flushedEntriesByType
+        );
+        const logCount =
+          (tabData.flushedEntryCount || 0) + (tabData.logs || []).length;
+
+        // Skip if no logs for this tab
+        if (logCount === 0) {
+          return;
+        }
+
+        totalLogEntries += logCount;
+
+        // Create a clean filename from tab title or use tab index if title unavailable
+        const safeTitle = (tabData.pageTitle || `Tab${index + 1}`)
+          .replace(/[^a-z0-9]/gi, "_")
+          .substring(0, 30);
+
+        const tabLogFilePath = path.join(
+          logsDir,
+          `console_${safeTitle}_${pageId.substring(0, 6)}.json`
+        );
+
+        // Create structured log output for this tab
+        const formattedLogs = {
+          timestamp: new Date().toISOString(),
+          pageId,
+          pageTitle: tabData.pageTitle,
+          pageUrl: tabData.pageUrl,
+          totalEntries: logCount,
+          entriesByType,
+          entries: new StreamedJsonArray(
+            readTabConsoleEntries(pageId, tabData)
+          ),
+        };
+
+        // Save asynchronously for better performance
+        const savePromise = writeCompressedFile(
+          tabLogFilePath,
+          formattedLogs,
+          MEMORY_CONFIG.compressConsoleLogs
+        ).then(
+          () => true,
+          (err) => {
+            console.error(
+              `Error saving logs for tab ${pageId}: ${err.message}`
+            );
+            return false;
+          }
+        );
+
+        savePromises.push(savePromise);
+        savedTabs.push([pageId, tabData, logCount]);
+
+        // Store summary for combined log file
+        tabSummaries.push({
+          pageId,
+          pageTitle: tabData.pageTitle,
+          pageUrl: tabData.pageUrl,
+          logCount,
+        });
+      });
+
+      // Also create a combined log file with every entry of every tab
+      const combinedLogFilePath = path.join(sessionDir, `console_all.json`);
+      const combinedLogData = {
+        timestamp: new Date().toISOString(),
+        totalTabs: tabSummaries.length,
+        tabs: tabSummaries,
+        totalEntries: totalLogEntries,
+        tabLogs: Object.fromEntries(
+          savedTabs.map(([pageId, tabData, logCount]) => [
+            pageId,
+            {
+              pageTitle: tabData.pageTitle,
+              pageUrl: tabData.pageUrl,
+              logCount,
+              logs: new StreamedJsonArray(
+                readTabConsoleEntries(pageId, tabData)
+              ),
+            },
+          ])
+        ),
+      };
+
+      const combinedSavePromise = writeCompressedFile(
+        combinedLogFilePath,
+        combinedLogData,
+        MEMORY_CONFIG.compressConsoleLogs
+      ).then(
+        () => true,
+        (err) => {
+          console.error(`Error saving combined logs: ${err.message}`);
+          return false;
+        }
+      );
+
+      savePromises.push(combinedSavePromise);
+
+      // Wait for all save operations to complete
+      const saved = await Promise.all(savePromises);
+      resolve(saved.every(Boolean));
+    } catch (e) {
+      console.error(`Error saving console logs: ${e.message}`);
+      // Try a simpler approach as fallback
+      try {
+        const backupPath = writeOutputFileSync(
+          path.join(sessionDir, "console_backup.json"),
+          JSON.stringify({
+            timestamp: new Date().toISOString(),
+            error: e.message,
+            tabCount: Object.keys(allTabsLogs).length,
+          })
+        );
+        console.log(`Created backup logs summary at ${backupPath}`);
+        resolve(false);
+      } catch (backupErr) {
+        console.error(
+          `Critical error - couldn't save logs: ${backupErr.message}`
+        );
+        reject(e);
+      }
+    }
+  });
+}
+
+// The original saveConsoleLogs function remains as a fallback
+function saveConsoleLogs(filePath, logs) {
+  try {
+    if (!logs || logs.length === 0) {
+      console.log("No console logs to save");
+      // Save an empty structure with metadata
+      writeOutputFileSync(
+        filePath,
+        JSON.stringify(
+          {
+            timestamp: new Date().toISOString(),
+            totalEntries: 0,
+            message: "No console logs were captured during this session",
+            entries: [],
+          },
+          null,
+          2
+        )
+      );
+      return;
+    }
+
+    // Count by type in a single pass
+    const entriesByType = countEntriesByType(logs);
+
+    // Create structured log output
+    const outputPath = writeOutputFileSync(
+      filePath,
+      JSON.stringify(
+        {
+          timestamp: new Date().toISOString(),
+          totalEntries: logs.length,
+          entriesByType,
+          entries: logs,
+        },
+        null,
+        2
+      )
+    );
+
+    console.log(`Saved ${logs.length} console log entries to ${outputPath}`);
+  } catch (e) {
+    console.error(`Error saving console logs: ${e.message}`);
+    // Try a simpler approach as fallback
+    try {
+      writeOutputFileSync(filePath + ".backup", JSON.stringify(logs));
+    } catch (backupErr) {
+      console.error(
+        `Critical error - couldn't save logs: ${backupErr.message}`
+      );
+    }
+  }
+}
+
+// Marks an iterable or async iterable that writeCompressedFile should
+// serialize as a JSON array one item at a time
+class StreamedJsonArray {
+  constructor(items) {
+    this.items = items;
+  }
+}
+
+// Whether a value holds a StreamedJsonArray anywhere inside plain objects
+function containsStreamedArray(value) {
+  if (value instanceof StreamedJsonArray) return true;
+  if (
+    !value ||
+    typeof value !== "object" ||
+    Array.isArray(value) ||
+    typeof value.toJSON === "function"
+  ) {
+    return false;
+  }
+  return Object.values(value).some(containsStreamedArray);
+}
+
+// Serialize a value exactly like JSON.stringify(value, null, 2), yielding the
+// output in pieces and reading StreamedJsonArray items lazily
+async function* serializeJson(value, depth = 0) {
+  const indent = "  ".repeat(depth);
+
+  if (value instanceof StreamedJsonArray) {
+    let count = 0;
+    yield "[";
+    for await (const item of value.items) {
+      yield `${count === 0 ? "" : ","}\n${indent}  `;
+      yield* serializeJson(item, depth + 1);
+      count++;
+    }
+    yield count === 0 ? "]" : `\n${indent}]`;
+    return;
+  }
+
+  if (!containsStreamedArray(value)) {
+    yield indentJson(value ?? null, depth);
+    return;
+  }
+
+  const keys = Object.keys(value).filter(
+    (key) => value[key] !== undefined && typeof value[key] !== "function"
+  );
+  yield "{";
+  for (const [index, key] of keys.entries()) {
+    yield `${index === 0 ? "" : ","}\n${indent}  ${JSON.stringify(key)}: `;
+    yield* serializeJson(value[key], depth + 1);
+  }
+  yield keys.length === 0 ? "}" : `\n${indent}}`;
+}
+
+// Group small pieces of output into larger chunks before they hit the stream
+async function* batchChunks(pieces, chunkSize = 64 * 1024) {
+  let buffer = "";
+  for await (const piece of pieces) {
+    buffer += piece;
+    if (buffer.length >= chunkSize) {
+      yield buffer;
+      buffer = "";
+    }
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+// Helper function for compressed writes. Gzips to `<filePath>.gz` when
+// `compress` (MEMORY_CONFIG.useCompression by default) is on, otherwise writes
+// plain JSON. The JSON is streamed, so StreamedJsonArray values never have to
+// fit in memory. The file is written to a .part file first so readers never
+// see a half-written file.
+// Resolves with the path actually written, which ends in .enc when the
+// session is encrypted.
+function writeCompressedFile(
+  filePath,
+  data,
+  compress = MEMORY_CONFIG.useCompression
+) {
+  const outputPath = compress ? `${filePath}.gz` : filePath;
+  return writeStreamedFile(outputPath, serializeJson(data), compress);
+}
+
+// Stream text pieces to `outputPath` through a .part file, optionally gzipped,
+// and encrypted when ENCRYPTION_CONFIG is set. Resolves with the path written
+// (see getOutputPath) once the file is complete.
+function writeStreamedFile(filePath, pieces, compress = false) {
+  return new Promise((resolve, reject) => {
+    const outputPath = getOutputPath(filePath);
+    const partPath = `${outputPath}.part`;
+
+    const streams = [Readable.from(batchChunks(pieces))];
+    if (compress) {
+      streams.push(zlib.createGzip());
+    }
+    if (encryption.isActive) {
+      streams.push(createEncryptStream());
+    }
+    streams.push(
+      fs.createWriteStream(partPath, {
+        highWaterMark: MEMORY_CONFIG.useBufferedWrites ? 1024 * 1024 : 16384,
+      })
+    );
+
+    pipeline(...streams, (err) => {
+      if (err) {
+        fs.promises.unlink(partPath).catch(() => {});
+        reject(err);
+        return;
+      }
+      fs.promises
+        .rename(partPath, outputPath)
+        .then(() => resolve(outputPath), reject);
+    });
+  });
+}
+
+// Read a JSON file written by writeCompressedFile, decrypting .enc and
+// decompressing .gz files
+async function readJsonFile(filePath) {
+  let content = await fs.promises.readFile(filePath);
+  if (filePath.endsWith(ENCRYPTED_FILE_SUFFIX)) {
+    content = decryptBuffer(content);
+    filePath = filePath.slice(0, -ENCRYPTED_FILE_SUFFIX.length);
+  }
+  if (filePath.endsWith(".gz")) {
+    content = await promisify(zlib.gunzip)(content);
+  }
+  return JSON.parse(content.toString("utf8"));
+}
+
+// Read a file written by writeCompressedFile as text chunks, decrypting .enc
+// and decompressing .gz files on the way, so it never has to fit in memory.
+// Encrypted files are authenticated before the first chunk is yielded.
+async function* readTextFile(filePath) {
+  let source = fs.createReadStream(filePath);
+  let encryptedPath = null;
+  if (filePath.endsWith(ENCRYPTED_FILE_SUFFIX)) {
+    encryptedPath = filePath;
+    await verifyEncryptedFile(filePath);
+    source = await createDecryptStream(filePath);
+    filePath = filePath.slice(0, -ENCRYPTED_FILE_SUFFIX.length);
+  }
+  if (filePath.endsWith(".gz")) {
+    source = pipeline(source, zlib.createGunzip(), () => {});
+  }
+  const decoder = new StringDecoder("utf8");
+  try {
+    for await (const chunk of source) {
+      yield decoder.write(chunk);
+    }
+  } catch (err) {
+    throw encryptedPath ? describeDecryptionError(err, encryptedPath) : err;
+  }
+  yield decoder.end();
+}
+
+// Derive the session key from ENCRYPTION_CONFIG. The key is derived with
+// scrypt from the passphrase or key file and a random per-session salt, which
+// every encrypted file carries in its header so it can be decrypted with the
+// passphrase or key file alone.
+function createEncryption(config = ENCRYPTION_CONFIG) {
+  const { encryptionPassphrase, encryptionKeyFile } = config;
+  if (encryptionPassphrase && encryptionKeyFile) {
+    throw new Error(
+      "Set either encryptionPassphrase or encryptionKeyFile, not both"
+    );
+  }
+
+  let secret = null;
+  if (encryptionKeyFile) {
+    try {
+      secret = fs.readFileSync(path.resolve(encryptionKeyFile));
+    } catch (err) {
+      throw new Error(
+        `Cannot read encryption key file ${encryptionKeyFile}: ${err.message}`
+      );
+    }
+    if (secret.length === 0) {
+      throw new Error(`Encryption key file ${encryptionKeyFile} is empty`);
+    }
+  } else if (encryptionPassphrase) {
+    secret = Buffer.from(encryptionPassphrase, "utf8");
+  }
+
+  // One scrypt run per salt; files of one session share it
+  const keys = new Map();
+  const keyFor = (salt) => {
+    if (!secret) {
+      throw new Error(
+        "This session is encrypted; pass --encryption-passphrase (or CHROMELOGS_ENCRYPTION_PASSPHRASE) or --encryption-key-file"
+      );
+    }
+    const id = salt.toString("hex");
+    if (!keys.has(id)) {
+      keys.set(id, crypto.scryptSync(secret, salt, 32));
+    }
+    return keys.get(id);
+  };
+
+  if (!secret) {
+    return { isActive: false, keyFor };
+  }
+  const salt = crypto.randomBytes(ENCRYPTION_SALT_LENGTH);
+  return { isActive: true, salt, key: keyFor(salt), keyFor };
+}
+
+// Path a writer actually writes `filePath` to
+function getOutputPath(filePath) {
+  return encryption.isActive ? `${filePath}${ENCRYPTED_FILE_SUFFIX}` : filePath;
+}
+
+// Header and cipher for a new encrypted file, each with its own IV
+function createCipher() {
+  const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+  return {
+    header: Buffer.concat([ENCRYPTED_FILE_MAGIC, encryption.salt, iv]),
+    cipher: crypto.createCipheriv("aes-256-gcm", encryption.key, iv),
+  };
+}
+
+// Transform stream turning plain data into an encrypted file
+function createEncryptStream() {
+  const { header, cipher } = createCipher();
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      this.push(cipher.final());
+      callback(null, cipher.getAuthTag());
+    },
+  });
+  stream.push(header);
+  return stream;
+}
+
+// Encrypt a whole buffer, for small files and journal lines
+function encryptBuffer(content) {
+  const { header, cipher } = createCipher();
+  return Buffer.concat([
+    header,
+    cipher.update(content),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+}
+
+// Decipher for an encrypted file, given its header and auth tag
+function createDecipher(header, authTag) {
+  if (
+    !header
+      .subarray(0, ENCRYPTED_FILE_MAGIC.length)
+      .equals(ENCRYPTED_FILE_MAGIC)
+  ) {
+    throw new Error("Not a chromelogs encrypted file");
+  }
+  const salt = header.subarray(
+    ENCRYPTED_FILE_MAGIC.length,
+    ENCRYPTED_FILE_MAGIC.length + ENCRYPTION_SALT_LENGTH
+  );
+  const iv = header.subarray(ENCRYPTION_HEADER_LENGTH - ENCRYPTION_IV_LENGTH);
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    encryption.keyFor(salt),
+    iv
+  );
+  decipher.setAuthTag(authTag);
+  return decipher;
+}
+
+// GCM only tells whether the data authenticates, so a wrong passphrase and a
+// tampered file look the same
+const DECRYPTION_FAILED_MESSAGE =
+  "Could not decrypt: wrong passphrase or key file, or the file was modified";
+
+// Decrypt a whole encrypted file read into memory
+function decryptBuffer(content) {
+  if (content.length < ENCRYPTION_HEADER_LENGTH + ENCRYPTION_TAG_LENGTH) {
+    throw new Error("Encrypted file is truncated");
+  }
+  const decipher = createDecipher(
+    content.subarray(0, ENCRYPTION_HEADER_LENGTH),
+    content.subarray(content.length - ENCRYPTION_TAG_LENGTH)
+  );
+  try {
+    return Buffer.concat([
+      decipher.update(
+        content.subarray(
+          ENCRYPTION_HEADER_LENGTH,
+          content.length - ENCRYPTION_TAG_LENGTH
+        )
+      ),
+      decipher.final(),
+    ]);
+  } catch {
+    throw new Error(DECRYPTION_FAILED_MESSAGE);
+  }
+}
+
+// Stream-decrypt an encrypted file to `outputPath` through a .part file, so
+// large HAR files never have to fit in memory
+async function decryptFile(encryptedPath, outputPath) {
+  const partPath = `${outputPath}.part`;
+  try {
+    await promisify(pipeline)(
+      await createDecryptStream(encryptedPath),
+      fs.createWriteStream(partPath)
+    );
+  } catch (err) {
+    await fs.promises.unlink(partPath).catch(() => {});
+    throw describeDecryptionError(err, encryptedPath);
+  }
+  await fs.promises.rename(partPath, outputPath);
+}
+
+// Check an encrypted file's auth tag by running it through the decipher and
+// dropping the output. Streams from createDecryptStream release plaintext
+// before the tag is checked, so readers verify the file first instead of
+// keeping unauthenticated data; nothing is written to disk in the clear.
+async function verifyEncryptedFile(encryptedPath) {
+  try {
+    await promisify(pipeline)(
+      await createDecryptStream(encryptedPath),
+      new Writable({ write: (chunk, encoding, callback) => callback() })
+    );
+  } catch (err) {
+    throw describeDecryptionError(err, encryptedPath);
+  }
+}
+
+// Readable stream of an encrypted file's plain content. The auth tag is only
+// checked once the whole file has been read, so the stream fails at its end
+// when the file does not decrypt: write its output somewhere it is discarded
+// on error, as decryptFile does, or call verifyEncryptedFile first.
+async function createDecryptStream(encryptedPath) {
+  const { size } = await fs.promises.stat(encryptedPath);
+  if (size < ENCRYPTION_HEADER_LENGTH + ENCRYPTION_TAG_LENGTH) {
+    throw new Error(`${encryptedPath} is truncated`);
+  }
+  const header = Buffer.alloc(ENCRYPTION_HEADER_LENGTH);
+  const authTag = Buffer.alloc(ENCRYPTION_TAG_LENGTH);
+  const handle = await fs.promises.open(encryptedPath, "r");
+  try {
+    await handle.read(header, 0, header.length, 0);
+    await handle.read(authTag, 0, authTag.length, size - authTag.length);
+  } finally {
+    await handle.close();
+  }
+
+  const ciphertextLength =
+    size - ENCRYPTION_HEADER_LENGTH - ENCRYPTION_TAG_LENGTH;
+  return pipeline(
+    ciphertextLength === 0
+      ? Readable.from([])
+      : fs.createReadStream(encryptedPath, {
+          start: ENCRYPTION_HEADER_LENGTH,
+          end: ENCRYPTION_HEADER_LENGTH + ciphertextLength - 1,
+        }),
+    createDecipher(header, authTag),
+    () => {} // Errors reach the reader through the decipher
+  );
+}
+
+// Error for a file that failed to decrypt, naming the file when the
+// passphrase or key file is wrong
+function describeDecryptionError(err, encryptedPath) {
+  return new Error(
+    err.code === "ERR_CRYPTO_INVALID_STATE" || /authenticate/.test(err.message)
+      ? `${path.basename(encryptedPath)}: ${DECRYPTION_FAILED_MESSAGE}`
+      : err.message
+  );
+}
+
+// Synchronous write of a whole file, encrypted like writeStreamedFile, for
+// the fallback and emergency writers. Returns the path written.
+function writeOutputFileSync(filePath, content) {
+  const outputPath = getOutputPath(filePath);
+  fs.writeFileSync(
+    outputPath,
+    encryption.isActive ? encryptBuffer(Buffer.from(content)) : content
+  );
+  return outputPath;
+}
+
+// Stringify a value with 2-space indentation, nested `depth` levels deep
+function indentJson(value, depth) {
+  return JSON.stringify(value, null, 2).replace(
+    /\n/g,
+    `\n${"  ".repeat(depth)}`
+  );
+}
+
+// Stream a HAR document to disk one entry at a time. The file is written
+// through writeStreamedFile, which only pulls the next entry once the file
+// stream has room for it, so memory use stays bounded no matter how many
+// entries there are. `entries` may be any iterable or async iterable of
+// captured entries. The output is identical to
+// JSON.stringify(createHarFile(...), null, 2), encrypted to
+// getOutputPath(filePath) when the session is encrypted. Resolves with the
+// entry count.
+async function writeHarFile(filePath, pages, entries) {
+  let entryCount = 0;
+
+  async function* pieces() {
+    yield `{\n  "log": {\n    "version": "1.2",\n    "creator": ${indentJson(
+      HAR_CREATOR,
+      2
+    )},\n    "pages": ${indentJson(
+      pages.map(formatHarPage),
+      2
+    )},\n    "entries": [`;
+
+    for await (const entry of entries) {
+      yield `${entryCount === 0 ? "" : ","}\n      ${indentJson(
+        formatHarEntry(entry),
+        3
+      )}`;
+      entryCount++;
+    }
+
+    yield `${entryCount === 0 ? "" : "\n    "}]\n  }\n}`;
+  }
+
+  await writeStreamedFile(filePath, pieces());
+  return entryCount;
+}
+
+// Merge chunks of HAR entries into one stream ordered by startedDateTime,
+// holding at most two chunks in memory. Chunks are flushed roughly in time
+// order; an entry is only emitted once the next chunk shows nothing earlier
+// is coming. Requests kept in memory across several flushes can still end
+// up slightly out of order.
+async function* orderHarEntries(chunks) {
+  const byStart = (a, b) =>
+    (a.startedDateTime || "").localeCompare(b.startedDateTime || "");
+  let held = [];
+
+  for await (const chunk of chunks) {
+    if (!chunk || chunk.length === 0) continue;
+    const sorted = [...chunk].sort(byStart);
+    const nextStart = sorted[0].startedDateTime || "";
+
+    let emitted = 0;
+    while (
+      emitted < held.length &&
+      (held[emitted].startedDateTime || "") <= nextStart
+    ) {
+      yield held[emitted++];
+    }
+    held = held.slice(emitted).concat(sorted).sort(byStart);
+  }
+
+  yield* held;
+}
 
-  // Create status line
-  let statusLine = `${colors.info(spinner)} Recording for ${colors.highlight(
-    timeRunning
-  )} | ${colors.success(networkCount)} requests | ${colors.success(
-    consoleCount
-  )} logs ${errorWarningInfo} | ${colors.info(progressStats.activeTabs)} tabs`;
+// Whether a rule is written as "/pattern/flags"
+const REGEX_RULE = /^\/(.+)\/([a-z]*)$/;
 
-  // Return the basic status line if advanced info is not requested
-  if (!uiState.showAdvanced) {
-    statusLine += colors.dim(" | Press h for help");
-    return statusLine;
+// Compile a regular expression rule, given either as a bare pattern or as
+// "/pattern/flags". `label` names the option in error messages.
+function compileRegexRule(rule, label) {
+  const regexMatch = REGEX_RULE.exec(rule);
+  try {
+    return regexMatch
+      ? new RegExp(regexMatch[1], regexMatch[2])
+      : new RegExp(rule);
+  } catch (err) {
+    throw new Error(`Invalid ${label} ${rule}: ${err.message}`);
   }
+}
 
-  // Add advanced info if requested
-  const memoryUsage = process.memoryUsage();
-  const heapUsedMB = Math.round(memoryUsage.heapUsed / 1024 / 1024);
-  const heapTotalMB = Math.round(memoryUsage.heapTotal / 1024 / 1024);
+// Compile a URL filter rule: "/pattern/flags" is a regular expression,
+// anything else a glob where * matches any run of characters and ? one
+function compileUrlRule(rule) {
+  if (REGEX_RULE.test(rule)) {
+    return compileRegexRule(rule, "URL filter");
+  }
+  const pattern = rule
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${pattern}$`);
+}
 
-  statusLine += `\n${colors.dim(
-    "Mem:"
-  )} ${heapUsedMB}/${heapTotalMB}MB | ${colors.dim("Flushed:")} ${formatNumber(
-    flushStats.totalNetworkEventsFlushed
-  )} reqs, ${formatNumber(
-    Object.values(flushStats.totalConsoleLogsFlushed).reduce(
-      (sum, count) => sum + count,
-      0
-    )
-  )} logs`;
+// Compile a status code filter rule: an exact code like 404 or a class like 5xx
+function compileStatusRule(rule) {
+  const classMatch = /^([1-5])xx$/i.exec(rule);
+  if (classMatch) {
+    const statusClass = Number(classMatch[1]);
+    return (status) => Math.floor(status / 100) === statusClass;
+  }
+  if (/^\d{3}$/.test(rule)) {
+    return (status) => status === Number(rule);
+  }
+  throw new Error(
+    `Invalid status code filter "${rule}": expected a code like 404 or a class like 5xx`
+  );
+}
 
-  return statusLine;
+// Severity of console message types for CONSOLE_CONFIG.minConsoleLevel.
+// Console methods without a level of their own (dir, table, trace, ...)
+// count as "log".
+const CONSOLE_LEVELS = { debug: 0, log: 1, info: 2, warning: 3, error: 4 };
+
+function getConsoleLevel(type) {
+  if (type === "verbose") return CONSOLE_LEVELS.debug;
+  if (type === "pageerror" || type === "assert") return CONSOLE_LEVELS.error;
+  return CONSOLE_LEVELS[type] ?? CONSOLE_LEVELS.log;
 }
 
-// Replace updateStatusLine with enhanced version
-const updateStatusLine = throttle((force = false) => {
-  const now = Date.now();
-  // Only update if forced or if enough time has passed since last update
+// Build the console filter from CONSOLE_CONFIG: a function taking
+// { type, text, url } that tells whether the message should be recorded.
+// Source rules only apply to messages with a source URL; page errors and
+// other messages without one are kept or dropped by level and text alone.
+// Throws on invalid rules.
+function createConsoleFilter(config = CONSOLE_CONFIG) {
+  const minLevel = CONSOLE_LEVELS[config.minConsoleLevel];
+  if (minLevel === undefined) {
+    throw new Error(
+      `Invalid value for --min-console-level: expected one of ${Object.keys(
+        CONSOLE_LEVELS
+      ).join(", ")}, got "${config.minConsoleLevel}"`
+    );
+  }
+  const compile = (rules, label) =>
+    rules.map((rule) => compileRegexRule(rule, label));
+  const includeText = compile(config.includeConsoleText, "console text filter");
+  const excludeText = compile(config.excludeConsoleText, "console text filter");
+  const includeSources = compile(
+    config.includeConsoleSources,
+    "console source filter"
+  );
+  const excludeSources = compile(
+    config.excludeConsoleSources,
+    "console source filter"
+  );
+  const matchesRules = (value, include, exclude) =>
+    (include.length === 0 || include.some((regex) => regex.test(value))) &&
+    !exclude.some((regex) => regex.test(value));
+
+  return ({ type, text, url }) =>
+    getConsoleLevel(type) >= minLevel &&
+    matchesRules(String(text ?? ""), includeText, excludeText) &&
+    (!url || matchesRules(url, includeSources, excludeSources));
+}
+
+// Whether two console entries are the same message: same type, text and
+// source location
+function isSameConsoleMessage(a, b) {
+  const frameA = a.stackTrace?.[0];
+  const frameB = b.stackTrace?.[0];
+  return (
+    a.type === b.type &&
+    a.text === b.text &&
+    frameA?.url === frameB?.url &&
+    frameA?.lineNumber === frameB?.lineNumber &&
+    frameA?.columnNumber === frameB?.columnNumber
+  );
+}
+
+// Add a console entry to a tab's in-memory logs. With collapseRepeatedLogs
+// on, a message identical to the previous one only raises that entry's count
+// and lastTimestamp, like DevTools does, so the order of messages is kept.
+function appendConsoleEntry(tabLogs, entry) {
+  const previous = tabLogs.logs[tabLogs.logs.length - 1];
   if (
-    !force &&
-    now - progressStats.lastUpdate < progressStats.updateFrequencyMs
+    CONSOLE_CONFIG.collapseRepeatedLogs &&
+    previous &&
+    isSameConsoleMessage(previous, entry)
   ) {
+    previous.count = (previous.count || 1) + 1;
+    previous.firstTimestamp = previous.timestamp;
+    previous.lastTimestamp = entry.timestamp;
     return;
   }
+  tabLogs.logs.push(entry);
+}
 
-  progressStats.lastUpdate = now;
-
-  // Clear the current line and move cursor to beginning
-  process.stdout.clearLine();
-  process.stdout.cursorTo(0);
+// Built-in redaction rules, used when redactSensitiveData is on: header,
+// query/form parameter and JSON key names whose values are always replaced,
+// and patterns replaced wherever they appear
+const SENSITIVE_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "x-auth-token",
+  "x-csrf-token",
+  "x-xsrf-token",
+  "x-amz-security-token",
+];
+// Names that only ever hold credentials, also matched against the keys of
+// JSON bodies and console arguments
+const SENSITIVE_KEYS = [
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "token",
+  "api_key",
+  "apikey",
+  "secret",
+  "client_secret",
+  "password",
+  "passwd",
+  "sessionid",
+  "session_id",
+];
+// Short names that hold credentials in query strings and forms but are
+// ordinary fields in JSON, e.g. {"error": {"code": 404}} or React's "key"
+const SENSITIVE_PARAMS = [
+  ...SENSITIVE_KEYS,
+  "auth",
+  "key",
+  "pwd",
+  "session",
+  "sid",
+  "code",
+  "signature",
+  "sig",
+];
+const SENSITIVE_PATTERNS = {
+  bearerToken: /\b(?:Bearer|Basic)\s+[\w.~+/-]+=*/gi,
+  jwt: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g,
+  email: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi,
+  cardNumber: /\b\d(?:[ -]?\d){12,18}\b/g,
+};
+const REDACTED = "[REDACTED]";
+
+// Words that make an ungrouped run of digits read as a card number, looked
+// for in the parameter name or the text just before the digits
+const CARD_NUMBER_CONTEXT = /card|credit|debit|\bcc|\bpan\b/i;
+
+// Whether a match of SENSITIVE_PATTERNS.cardNumber is likely a card number:
+// it passes the Luhn check and is either grouped with spaces or dashes or
+// preceded by a card number context. Plain digit runs such as epoch
+// millisecond timestamps pass the Luhn check one time in ten.
+function isLikelyCardNumber(match, precedingText) {
+  return (
+    passesLuhnCheck(match.replace(/\D/g, "")) &&
+    (/[ -]/.test(match) || CARD_NUMBER_CONTEXT.test(precedingText))
+  );
+}
 
-  // If help is showing, don't update status
-  if (uiState.showHelp) return;
+// Luhn checksum, so only plausible card numbers are redacted
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
 
-  // Write the status line
-  process.stdout.write(showSimpleStatus());
-}, progressStats.updateFrequencyMs);
+// Parse the JSONPath subset accepted by redactJsonPaths: $.a.b, $['a'],
+// $.a[0], $.a[*].b and $..b (any depth). Returns a list of
+// { key, recursive } segments, where key is a name, an index or "*".
+function parseJsonPath(expression) {
+  if (!expression.startsWith("$")) {
+    throw new Error(`Invalid JSONPath ${expression}: must start with $`);
+  }
+  const token =
+    /(\.\.?)([^.[\]]+)|(\.\.)?\[(?:(\d+)|\*|'([^']*)'|"([^"]*)")\]/y;
+  const segments = [];
+  token.lastIndex = 1;
+  while (token.lastIndex < expression.length) {
+    const position = token.lastIndex;
+    const match = token.exec(expression);
+    if (!match) {
+      throw new Error(
+        `Invalid JSONPath ${expression}: unexpected "${expression.slice(
+          position
+        )}"`
+      );
+    }
+    const [, dots, name, bracketDots, index, single, double] = match;
+    segments.push({
+      recursive: dots === ".." || bracketDots === "..",
+      key:
+        name ?? (index !== undefined ? Number(index) : single ?? double ?? "*"),
+    });
+  }
+  return segments;
+}
 
-// Set up keyboard input handling
-function setupKeyboardHandling() {
-  if (process.stdin.isTTY) {
-    process.stdin.setRawMode(true);
-    process.stdin.setEncoding("utf8");
+// Replace the values a parsed JSONPath points at within `value`, which is
+// modified in place. Returns the new value.
+function replaceJsonPath(value, segments, replace) {
+  if (segments.length === 0) return replace(value);
+  if (!value || typeof value !== "object") return value;
+
+  const [segment, ...rest] = segments;
+  for (const key of Object.keys(value)) {
+    const keyMatches = segment.key === "*" || key === String(segment.key);
+    if (keyMatches) {
+      value[key] = replaceJsonPath(value[key], rest, replace);
+    }
+    if (segment.recursive && value[key] && typeof value[key] === "object") {
+      value[key] = replaceJsonPath(value[key], segments, replace);
+    }
+  }
+  return value;
+}
 
-    process.stdin.on("data", async (key) => {
-      // Detect Ctrl+C to exit
-      if (key === "\u0003") {
-        console.log("\nExiting...");
-        process.exit();
-      }
+// Build the redactor from REDACTION_CONFIG. Captured entries and console
+// messages go through it before they are journaled, flushed or saved; it
+// counts what it replaced for the session summary. Throws on invalid rules.
+function createRedactor(config = REDACTION_CONFIG) {
+  const builtIn = config.redactSensitiveData;
+  const lower = (names) => names.map((name) => name.toLowerCase());
+  const headerNames = new Set([
+    ...(builtIn ? SENSITIVE_HEADERS : []),
+    ...lower(config.redactHeaders),
+  ]);
+  const paramNames = new Set([
+    ...(builtIn ? SENSITIVE_PARAMS : []),
+    ...lower(config.redactParams),
+  ]);
+  const jsonKeyNames = new Set([
+    ...(builtIn ? SENSITIVE_KEYS : []),
+    ...lower(config.redactParams),
+  ]);
+  const patterns = [
+    ...(builtIn ? Object.entries(SENSITIVE_PATTERNS) : []),
+    ...config.redactPatterns.map((rule) => {
+      const regex = compileRegexRule(rule, "redaction pattern");
+      return [
+        `pattern ${rule}`,
+        new RegExp(regex.source, regex.flags.replace("g", "") + "g"),
+      ];
+    }),
+  ];
+  const jsonPaths = config.redactJsonPaths.map((expression) => [
+    expression,
+    parseJsonPath(expression),
+  ]);
+  const isActive =
+    headerNames.size > 0 ||
+    paramNames.size > 0 ||
+    patterns.length > 0 ||
+    jsonPaths.length > 0;
+
+  const counts = {};
+  let totalRedactions = 0;
+  const note = (rule) => {
+    counts[rule] = (counts[rule] || 0) + 1;
+    totalRedactions++;
+    return REDACTED;
+  };
 
-      // Other key commands
-      switch (key.toLowerCase()) {
-        case "h": // Toggle help
-          uiState.showHelp = !uiState.showHelp;
-          if (uiState.showHelp) {
-            showHelp();
-          } else {
-            console.clear();
-            updateStatusLine(true);
+  // `name` is the parameter or key the text is the value of, if any
+  const redactText = (text, name = "") => {
+    if (typeof text !== "string" || !text) return text;
+    let result = text;
+    for (const [rule, regex] of patterns) {
+      result = result.replace(regex, (match, ...args) => {
+        if (rule === "cardNumber") {
+          // The built-in pattern has no groups: args are offset and string
+          const [offset, string] = args;
+          const preceding = string.slice(Math.max(0, offset - 40), offset);
+          if (!isLikelyCardNumber(match, `${name} ${preceding}`)) {
+            return match;
           }
-          break;
+        }
+        return note(rule);
+      });
+    }
+    return result;
+  };
 
-        case "a": // Toggle advanced display
-          uiState.showAdvanced = !uiState.showAdvanced;
-          updateStatusLine(true);
-          break;
+  // "a=1&b=2" as in query strings, URL fragments and form bodies. Values are
+  // matched decoded and encoded again when redacted, with "+" for spaces in
+  // form bodies; the marker itself stays readable.
+  const redactQuery = (query, spaceAsPlus = false) =>
+    query
+      .split("&")
+      .map((pair) => {
+        const separator = pair.indexOf("=");
+        if (separator === -1) return redactText(pair);
+        const rawName = pair.slice(0, separator);
+        if (pair.slice(separator + 1) === REDACTED) return pair;
+        let name = rawName;
+        try {
+          name = decodeURIComponent(rawName.replace(/\+/g, " "));
+        } catch {
+          // Keep the raw name if it isn't valid percent-encoding
+        }
+        if (paramNames.has(name.toLowerCase())) {
+          return `${rawName}=${note(`param ${name.toLowerCase()}`)}`;
+        }
 
-        case "f": // Force flush
-          process.stdout.clearLine();
-          process.stdout.cursorTo(0);
-          console.log(colors.info("Manually flushing data to disk..."));
-          await performMemoryCheck(true);
-          updateStatusLine(true);
-          break;
+        // Match patterns against the decoded value, e.g. a%40b.com
+        const rawValue = pair.slice(separator + 1);
+        let value;
+        try {
+          value = decodeURIComponent(rawValue.replace(/\+/g, " "));
+        } catch {
+          // Not valid percent-encoding: match the raw value and keep it raw
+          const redactedRaw = redactText(rawValue, name);
+          return redactedRaw === rawValue ? pair : `${rawName}=${redactedRaw}`;
+        }
+        const redactedValue = redactText(value, name);
+        if (redactedValue === value) return pair;
+        const encode = (text) => {
+          const encoded = encodeURIComponent(text);
+          return spaceAsPlus ? encoded.replace(/%20/g, "+") : encoded;
+        };
+        return `${rawName}=${redactedValue
+          .split(REDACTED)
+          .map(encode)
+          .join(REDACTED)}`;
+      })
+      .join("&");
+
+  const redactUrl = (url) => {
+    if (!isActive || typeof url !== "string") return url;
+    const hashIndex = url.indexOf("#");
+    const beforeHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    const hash =
+      hashIndex === -1 ? "" : `#${redactQuery(url.slice(hashIndex + 1))}`;
+    const queryIndex = beforeHash.indexOf("?");
+    if (queryIndex === -1) return redactText(beforeHash) + hash;
+    return (
+      redactText(beforeHash.slice(0, queryIndex)) +
+      `?${redactQuery(beforeHash.slice(queryIndex + 1))}` +
+      hash
+    );
+  };
 
-        case "s": // Show session summary
-          process.stdout.clearLine();
-          process.stdout.cursorTo(0);
+  // Name/value lists (headers, query strings, form params) are copied rather
+  // than changed in place, since formatHeaders shares its arrays
+  const redactNameValues = (items, names, kind) =>
+    (items || []).map((item) => {
+      const name = String(item.name).toLowerCase();
+      return {
+        ...item,
+        value:
+          item.value === REDACTED
+            ? item.value
+            : names.has(name)
+            ? note(`${kind} ${name}`)
+            : redactText(item.value, name),
+      };
+    });
 
-          console.log(colors.highlight("\n=== Session Summary ==="));
-          console.log(
-            `Running for: ${formatTimeElapsed(uiState.sessionStart)}`
-          );
-          console.log(`Active browser tabs: ${progressStats.activeTabs}`);
-          console.log(`Total network requests: ${progressStats.networkEvents}`);
-          console.log(`Total console logs: ${progressStats.consoleLogs}`);
+  // CDP stack traces, following async parents
+  const redactStackTrace = (stack, depth = 0) =>
+    stack && depth <= 20
+      ? {
+          ...stack,
+          callFrames: (stack.callFrames || []).map((frame) => ({
+            ...frame,
+            url: redactUrl(frame.url),
+          })),
+          ...(stack.parent && {
+            parent: redactStackTrace(stack.parent, depth + 1),
+          }),
+        }
+      : stack;
+
+  const redactCookies = (cookies) =>
+    builtIn
+      ? (cookies || []).map((cookie) => ({ ...cookie, value: note("cookie") }))
+      : cookies;
+
+  // Recursively redact parsed JSON or console arguments: sensitive keys are
+  // replaced whole, strings elsewhere are searched for patterns
+  const redactValue = (value, depth = 0, name = "") => {
+    if (typeof value === "string") return redactText(value, name);
+    if (!value || typeof value !== "object" || depth > 20) return value;
+    if (Array.isArray(value)) {
+      return value.map((item) => redactValue(item, depth + 1, name));
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        jsonKeyNames.has(key.toLowerCase())
+          ? note(`param ${key.toLowerCase()}`)
+          : redactValue(item, depth + 1, key),
+      ])
+    );
+  };
 
-          if (progressStats.errorLogs > 0) {
-            console.log(
-              colors.error(`Errors detected: ${progressStats.errorLogs}`)
-            );
-          }
-          if (progressStats.warningLogs > 0) {
-            console.log(
-              colors.warning(`Warnings detected: ${progressStats.warningLogs}`)
-            );
-          }
+  // multipart/form-data bodies: each part's value is redacted by its field
+  // name like form params, keeping the boundaries and part headers
+  const redactMultipart = (text, mimeType) => {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(mimeType);
+    if (!boundaryMatch) return redactText(text);
+
+    const boundary = "--" + (boundaryMatch[1] || boundaryMatch[2]).trim();
+    return text
+      .split(boundary)
+      .map((part, index) => {
+        // Keep the preamble and whatever follows the closing boundary
+        if (index === 0 || part.startsWith("--")) return part;
+
+        const headerEnd = part.indexOf("\r\n\r\n");
+        if (headerEnd === -1) return redactText(part);
+        const partHeaders = part.slice(0, headerEnd + 4);
+        const value = part.slice(headerEnd + 4);
+        const name = /(?:^|[\s;])name="([^"]*)"/i
+          .exec(partHeaders)?.[1]
+          ?.toLowerCase();
+        if (name === undefined || !paramNames.has(name)) {
+          return partHeaders + redactText(value, name);
+        }
+        const lineEnd = value.endsWith("\r\n") ? "\r\n" : "";
+        return value === REDACTED + lineEnd
+          ? part
+          : partHeaders + note(`param ${name}`) + lineEnd;
+      })
+      .join(boundary);
+  };
 
-          console.log(
-            colors.info(`\nAll data is being saved to: ${sessionDir}`)
+  const redactBody = (text, mimeType = "") => {
+    if (!isActive || typeof text !== "string" || !text) return text;
+    if (/json/i.test(mimeType)) {
+      try {
+        const before = totalRedactions;
+        let value = redactValue(JSON.parse(text));
+        for (const [expression, segments] of jsonPaths) {
+          value = replaceJsonPath(value, segments, () =>
+            note(`jsonPath ${expression}`)
           );
-          console.log(colors.dim("Press any key to continue..."));
+        }
+        return totalRedactions === before ? text : JSON.stringify(value);
+      } catch {
+        // Not valid JSON after all - treat it as plain text
+      }
+    }
+    if (/x-www-form-urlencoded/i.test(mimeType)) {
+      return redactQuery(text, true);
+    }
+    if (/multipart\/form-data/i.test(mimeType)) {
+      return redactMultipart(text, mimeType);
+    }
+    return redactText(text);
+  };
 
-          // Wait for keypress to continue
-          await waitForKeypress();
-          console.clear();
-          updateStatusLine(true);
-          break;
+  const redactedEntries = new WeakSet();
 
-        case "q": // Quit (but keep Chrome running)
-          process.stdout.clearLine();
-          process.stdout.cursorTo(0);
-          console.log(colors.info("Saving final data and exiting..."));
-          // This will naturally exit when complete
-          // Force disconnect from browser to trigger cleanup
-          if (browser) {
-            browser.disconnect();
-          } else {
-            process.exit(0);
+  return {
+    isActive,
+    redactUrl,
+    redactBody,
+
+    // HAR postData as built by buildHarPostData
+    redactPostData: (postData) =>
+      isActive && postData
+        ? {
+            ...postData,
+            text: redactBody(postData.text, postData.mimeType),
+            ...(postData.params && {
+              params: redactNameValues(postData.params, paramNames, "param"),
+            }),
           }
-          break;
+        : postData,
+
+    // URL, headers, query string, cookies and initiator URLs of a captured
+    // entry. Bodies are redacted as they are captured. Each entry is only
+    // redacted once.
+    redactEntry: (entry) => {
+      if (!isActive || redactedEntries.has(entry)) return entry;
+      redactedEntries.add(entry);
+      const { request, response } = entry;
+      request.url = redactUrl(request.url);
+      request.headers = redactNameValues(
+        request.headers,
+        headerNames,
+        "header"
+      );
+      request.queryString = redactNameValues(
+        request.queryString,
+        paramNames,
+        "param"
+      );
+      request.cookies = redactCookies(request.cookies);
+      response.headers = redactNameValues(
+        response.headers,
+        headerNames,
+        "header"
+      );
+      response.cookies = redactCookies(response.cookies);
+      response.redirectURL = redactUrl(response.redirectURL);
+      if (entry._initiator) {
+        entry._initiator = {
+          ...entry._initiator,
+          ...(entry._initiator.url && {
+            url: redactUrl(entry._initiator.url),
+          }),
+          ...(entry._initiator.stack && {
+            stack: redactStackTrace(entry._initiator.stack),
+          }),
+        };
+      }
+      return entry;
+    },
 
-        default:
-          // Any other key just updates the UI
-          if (uiState.showHelp) {
-            uiState.showHelp = false;
-            console.clear();
-          }
-          updateStatusLine(true);
-          break;
+    redactConsoleEntry: (entry) => {
+      if (!isActive) return entry;
+      entry.text = redactText(entry.text);
+      if (entry.args) entry.args = redactValue(entry.args);
+      if (entry.stackTrace) {
+        entry.stackTrace = entry.stackTrace.map((frame) => ({
+          ...frame,
+          url: redactUrl(frame.url),
+        }));
       }
-    });
-  }
-}
+      if (entry.error) entry.error = redactValue(entry.error);
+      if (entry.warning) entry.warning = redactValue(entry.warning);
+      return entry;
+    },
 
-// Function to find Chrome executable in the system
-const findChromeExecutable = () => {
-  console.log("Searching for Chrome installation...");
-  const platform = os.platform();
+    // Summary of the rules in effect and what they replaced
+    report: () => ({
+      builtInRules: builtIn,
+      customRules: Object.fromEntries(
+        ["redactHeaders", "redactParams", "redactPatterns", "redactJsonPaths"]
+          .filter((key) => config[key].length > 0)
+          .map((key) => [key, config[key]])
+      ),
+      totalRedactions,
+      redactionsByRule: { ...counts },
+    }),
+  };
+}
 
-  // Array of common Chrome installation paths by platform
-  const commonChromePaths = {
-    win32: [
-      // Windows paths in order of priority
-      process.env["PROGRAMFILES(X86)"] +
-        "\\Google\\Chrome\\Application\\chrome.exe",
-      process.env["PROGRAMFILES"] + "\\Google\\Chrome\\Application\\chrome.exe",
-      process.env["LOCALAPPDATA"] + "\\Google\\Chrome\\Application\\chrome.exe",
-      // Canary paths
-      process.env["LOCALAPPDATA"] +
-        "\\Google\\Chrome SxS\\Application\\chrome.exe",
+// Build the request filter from FILTER_CONFIG. `matches` takes
+// { url, resourceType, method, status } and skips kinds of rules whose value
+// isn't known yet, so it can run at capture time before the response arrives;
+// `matchesEntry` checks a captured or HAR entry against every rule. Throws on
+// invalid rules.
+function createRequestFilter(config = FILTER_CONFIG) {
+  const ruleKinds = [
+    [
+      "Urls",
+      (request) => request.url,
+      (rule) => {
+        const regex = compileUrlRule(rule);
+        return (url) => regex.test(url);
+      },
     ],
-    darwin: [
-      // macOS paths
-      "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
-      "/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary",
-      "/Applications/Chromium.app/Contents/MacOS/Chromium",
-      "/usr/bin/google-chrome-stable",
-      "/usr/bin/google-chrome",
+    [
+      "Domains",
+      (request) =>
+        request.url === undefined ? undefined : extractBaseUrl(request.url),
+      (rule) => {
+        const domain = rule.toLowerCase();
+        return (hostname) =>
+          hostname === domain || hostname.endsWith(`.${domain}`);
+      },
     ],
-    linux: [
-      // Linux paths
-      "/usr/bin/google-chrome",
-      "/usr/bin/google-chrome-stable",
-      "/usr/bin/chromium",
-      "/usr/bin/chromium-browser",
-      "/snap/bin/chromium",
+    [
+      "ResourceTypes",
+      (request) => request.resourceType?.toLowerCase(),
+      (rule) => (resourceType) => resourceType === rule.toLowerCase(),
     ],
+    [
+      "Methods",
+      (request) => request.method?.toUpperCase(),
+      (rule) => (method) => method === rule.toUpperCase(),
+    ],
+    ["StatusCodes", (request) => request.status, compileStatusRule],
+  ].map(([name, getValue, compile]) => ({
+    getValue,
+    include: config[`include${name}`].map(compile),
+    exclude: config[`exclude${name}`].map(compile),
+  }));
+
+  const matches = (request) =>
+    ruleKinds.every(({ getValue, include, exclude }) => {
+      const value = getValue(request);
+      if (value === undefined) return true;
+      return (
+        (include.length === 0 || include.some((test) => test(value))) &&
+        !exclude.some((test) => test(value))
+      );
+    });
+
+  return {
+    isActive: ruleKinds.some(
+      ({ include, exclude }) => include.length > 0 || exclude.length > 0
+    ),
+    rules: Object.fromEntries(
+      Object.entries(config).filter(([, rules]) => rules.length > 0)
+    ),
+    matches,
+    matchesEntry: (entry) =>
+      matches({
+        url: entry.request?.url,
+        resourceType: entry._resourceType,
+        method: entry.request?.method,
+        status: entry.response?.status,
+      }),
   };
+}
 
-  // Get Chrome paths for current platform (defaults to Linux paths if platform is not recognized)
-  const chromePaths = commonChromePaths[platform] || commonChromePaths.linux;
+// Apply the current request filters to a finished session's HAR files,
+// writing the kept entries to <sessionDir>/filtered/final_har_files
+async function filterSession(sessionPath) {
+  if (!sessionPath) {
+    throw new Error(`Usage: node chrome.js ${COMMANDS.filter.usage}`);
+  }
+  if (!requestFilter.isActive) {
+    throw new Error(
+      "No request filters set; pass e.g. --exclude-domains or --include-status-codes"
+    );
+  }
+  const targetDir = path.resolve(sessionPath);
+  const harDir = path.join(targetDir, "final_har_files");
+  if (!fs.existsSync(harDir)) {
+    throw new Error(`No final_har_files folder found in ${targetDir}`);
+  }
 
-  // On Windows, try to get Chrome path from registry using WMIC
-  if (platform === "win32") {
-    try {
-      const wmicOutput = execSync(
-        'wmic datafile where name="chrome.exe" get Version,Name /format:csv',
-        { encoding: "utf-8" }
-      );
+  const outputDir = path.join(targetDir, "filtered", "final_har_files");
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  const harFiles = (await fs.promises.readdir(harDir)).filter(
+    (fileName) =>
+      fileName.endsWith(".har") ||
+      fileName.endsWith(`.har${ENCRYPTED_FILE_SUFFIX}`)
+  );
+  for (const fileName of harFiles) {
+    // Entries are streamed through the filters one at a time, so HAR files
+    // of any size fit
+    let total = 0;
+    let kept = 0;
+    const keepEntry = (entry) => {
+      total++;
+      if (!requestFilter.matchesEntry(entry)) return SKIP_JSON_VALUE;
+      kept++;
+      return entry;
+    };
+    // Written encrypted again when a passphrase or key file is given
+    await writeStreamedFile(
+      path.join(outputDir, fileName.replace(/\.enc$/, "")),
+      rewriteJsonValues(
+        readTextFile(path.join(harDir, fileName)),
+        new Map([["entries", keepEntry]])
+      )
+    );
+    console.log(`${fileName}: kept ${kept} of ${total} requests`);
+  }
+  console.log(`Filtered HAR files written to ${outputDir}`);
+}
+
+// Every file under a directory, depth first
+function* listFilesRecursive(dir) {
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      yield* listFilesRecursive(entryPath);
+    } else {
+      yield entryPath;
+    }
+  }
+}
 
-      const regPaths = wmicOutput
-        .split("\n")
-        .filter((line) => line.toLowerCase().includes("chrome.exe"))
-        .map((line) => {
-          // Extract path from the WMIC output
-          const parts = line.split(",");
-          return parts.length >= 2 ? parts[1].trim() : null;
-        })
-        .filter(Boolean);
+// Decrypt an encrypted session in place: every <file>.enc is replaced by
+// <file>, and the journal is rewritten with plain lines
+async function decryptSession(sessionPath) {
+  if (!sessionPath) {
+    throw new Error(`Usage: node chrome.js ${COMMANDS.decrypt.usage}`);
+  }
+  if (!encryption.isActive) {
+    throw new Error(
+      "Pass the session's passphrase with CHROMELOGS_ENCRYPTION_PASSPHRASE (or --encryption-passphrase), or its --encryption-key-file"
+    );
+  }
+  const targetDir = path.resolve(sessionPath);
+  if (!fs.existsSync(targetDir)) {
+    throw new Error(`Session directory not found: ${targetDir}`);
+  }
 
-      // Add registry-found paths to our search list
-      if (regPaths.length > 0) {
-        chromePaths.push(...regPaths);
+  let decryptedFiles = 0;
+  for (const filePath of [...listFilesRecursive(targetDir)]) {
+    if (filePath.endsWith(ENCRYPTED_FILE_SUFFIX)) {
+      await decryptFile(
+        filePath,
+        filePath.slice(0, -ENCRYPTED_FILE_SUFFIX.length)
+      );
+      await fs.promises.unlink(filePath);
+      decryptedFiles++;
+    } else if (path.basename(filePath) === JOURNAL_FILE_NAME) {
+      const skipped = { count: 0 };
+      await writePlainJournal(filePath, skipped);
+      if (skipped.count > 0) {
+        console.warn(`Skipped ${skipped.count} unreadable journal line(s)`);
       }
-    } catch {
-      // Registry lookup failed, continue with known paths
-      console.log("Registry lookup failed, using predefined paths");
     }
   }
 
-  // Check if Chrome paths exist
-  for (const chromePath of chromePaths) {
-    if (chromePath && fs.existsSync(chromePath)) {
-      console.log(`Found Chrome at: ${chromePath}`);
-      return chromePath;
-    }
+  const manifest = readSessionManifest(targetDir);
+  if (manifest?.encrypted) {
+    manifest.encrypted = false;
+    saveSessionManifest(targetDir, manifest);
   }
+  console.log(`Decrypted ${decryptedFiles} file(s) in ${targetDir}`);
+}
 
-  // If Chrome is not found, try to use 'where' command on Windows or 'which' on Unix
+// Rewrite a journal with plain JSON lines. Journals that are already plain
+// are left alone.
+async function writePlainJournal(journalPath, skipped) {
+  const firstByte = Buffer.alloc(1);
+  const handle = await fs.promises.open(journalPath, "r");
+  let bytesRead;
   try {
-    let command = platform === "win32" ? "where chrome" : "which google-chrome";
-    const chromePath = execSync(command, { encoding: "utf-8" }).trim();
-    if (chromePath && fs.existsSync(chromePath)) {
-      console.log(`Found Chrome using system PATH: ${chromePath}`);
-      return chromePath;
+    ({ bytesRead } = await handle.read(firstByte, 0, 1, 0));
+  } finally {
+    await handle.close();
+  }
+  if (bytesRead === 0 || firstByte.toString() === "{") return;
+
+  const partPath = `${journalPath}.part`;
+  async function* lines() {
+    for await (const record of readJournal(journalPath, skipped)) {
+      yield `${JSON.stringify(record)}\n`;
     }
-  } catch {
-    // Command failed, Chrome isn't in PATH
   }
+  try {
+    await promisify(pipeline)(
+      Readable.from(batchChunks(lines())),
+      fs.createWriteStream(partPath)
+    );
+  } catch (err) {
+    await fs.promises.unlink(partPath).catch(() => {});
+    throw err;
+  }
+  await fs.promises.rename(partPath, journalPath);
+}
 
-  console.log("Chrome executable not found in common locations.");
-  return null;
-};
+// CRC-32 lookup table, for zip archives
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
 
-// Function to launch Chrome with debug port if it's not running
-const launchChrome = async (chromePath) => {
-  if (!chromePath) {
-    console.error("Cannot launch Chrome: No executable path provided");
-    return false;
+// CRC-32 of `buffer`, continuing from `crc` for data read in chunks
+function crc32(buffer, crc = 0) {
+  let value = ~crc;
+  for (let i = 0; i < buffer.length; i++) {
+    value = CRC32_TABLE[(value ^ buffer[i]) & 0xff] ^ (value >>> 8);
   }
+  return ~value >>> 0;
+}
 
-  console.log(`Attempting to launch Chrome from: ${chromePath}`);
+// Pass-through stream that tallies the size, CRC-32 and SHA-256 of the data
+// going through it into `tally`
+function createChecksumStream(tally) {
+  tally.size = 0;
+  tally.crc = 0;
+  tally.hash = crypto.createHash("sha256");
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      tally.size += chunk.length;
+      tally.crc = crc32(chunk, tally.crc);
+      tally.hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+}
 
-  try {
-    // Check if Chrome is already running with remote debugging
-    const isRunning = await isChromeReachable();
-    if (isRunning.success) {
-      console.log("Chrome is already running with remote debugging enabled");
-      return true;
-    }
+// MS-DOS date and time fields of a zip entry
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
 
-    // Launch Chrome with remote debugging enabled
-    const args = [
-      "--remote-debugging-port=9222",
-      "--no-first-run",
-      "--no-default-browser-check",
-    ];
+// Zip record signatures, and the flags of every entry ZipWriter writes: sizes
+// in a data descriptor after the data, and UTF-8 names
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_DATA_DESCRIPTOR = 0x08074b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_ENTRY_FLAGS = 0x0808;
+const ZIP_MAX_SIZE = 0xffffffff;
+
+// Minimal streaming zip writer. Entries are deflated one at a time straight
+// into the archive, so files of any size never have to fit in memory. There
+// is no zip64 support, so the archive must stay below 4GB.
+class ZipWriter {
+  constructor(filePath) {
+    this.stream = fs.createWriteStream(filePath);
+    this.streamError = null;
+    this.stream.on("error", (err) => {
+      this.streamError = err;
+    });
+    this.offset = 0;
+    this.entries = [];
+  }
 
-    console.log(`Launching Chrome with args: ${args.join(" ")}`);
+  write(chunk) {
+    return new Promise((resolve, reject) => {
+      if (this.streamError) return reject(this.streamError);
+      this.offset += chunk.length;
+      this.stream.write(chunk, (err) => (err ? reject(err) : resolve()));
+    });
+  }
 
-    // Use spawn instead of exec to avoid hanging
-    const chromeProcess = spawn(chromePath, args, {
-      detached: true, // Detach from parent process
-      stdio: "ignore", // Avoid hanging the Node process
+  // Add a file from a path or a Buffer. Resolves with its size and SHA-256.
+  async addFile(name, source) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const entry = {
+      nameBuffer,
+      ...toDosDateTime(new Date()),
+      offset: this.offset,
+      compressedSize: 0,
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract: deflate
+    header.writeUInt16LE(ZIP_ENTRY_FLAGS, 6);
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await this.write(Buffer.concat([header, nameBuffer]));
+
+    const tally = {};
+    const deflate = zlib.createDeflateRaw();
+    pipeline(
+      Buffer.isBuffer(source)
+        ? Readable.from([source])
+        : fs.createReadStream(source),
+      createChecksumStream(tally),
+      deflate,
+      () => {} // Errors end the loop below
+    );
+    for await (const chunk of deflate) {
+      await this.write(chunk);
+      entry.compressedSize += chunk.length;
+    }
+    if (this.offset > ZIP_MAX_SIZE) {
+      throw new Error("The bundle is larger than the 4GB zip limit");
+    }
+    entry.crc = tally.crc;
+    entry.size = tally.size;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(ZIP_DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+    return { size: tally.size, sha256: tally.hash.digest("hex") };
+  }
+
+  // Write the central directory and close the file
+  async close() {
+    const directoryOffset = this.offset;
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(ZIP_CENTRAL_HEADER, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed to extract
+      header.writeUInt16LE(ZIP_ENTRY_FLAGS, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(ZIP_END_OF_DIRECTORY, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+
+    await new Promise((resolve, reject) => {
+      if (this.streamError) return reject(this.streamError);
+      this.stream.once("error", reject);
+      this.stream.end(resolve);
     });
+  }
 
-    // Detach the child process so it doesn't keep the Node.js process alive
-    chromeProcess.unref();
+  destroy() {
+    this.stream.destroy();
+  }
+}
 
-    // Wait for Chrome to start and become available
-    console.log("Waiting for Chrome to start...");
-    for (let attempts = 1; attempts <= 10; attempts++) {
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second between attempts
+// Entries of a zip archive from its central directory. Handles archives
+// written by ZipWriter and other plain zips; zip64 is not supported.
+async function readZipEntries(archivePath) {
+  const handle = await fs.promises.open(archivePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const tail = Buffer.alloc(Math.min(size, 22 + 0xffff));
+    await handle.read(tail, 0, tail.length, size - tail.length);
 
-      const checkResult = await isChromeReachable();
-      if (checkResult.success) {
-        console.log(
-          "Chrome successfully launched with remote debugging enabled"
-        );
-        return true;
-      }
+    let end = tail.length - 22;
+    while (end >= 0 && tail.readUInt32LE(end) !== ZIP_END_OF_DIRECTORY) {
+      end--;
+    }
+    if (end < 0) {
+      throw new Error(`${archivePath} is not a zip archive`);
+    }
+    const entryCount = tail.readUInt16LE(end + 10);
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (directoryOffset + directorySize > size) {
+      throw new Error(`${archivePath} is truncated`);
+    }
 
-      console.log(
-        `Waiting for Chrome to become available (attempt ${attempts}/10)...`
-      );
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (
+        position + 46 > directory.length ||
+        directory.readUInt32LE(position) !== ZIP_CENTRAL_HEADER
+      ) {
+        throw new Error(`${archivePath} has a damaged zip directory`);
+      }
+      const nameLength = directory.readUInt16LE(position + 28);
+      entries.push({
+        name: directory.toString(
+          "utf8",
+          position + 46,
+          position + 46 + nameLength
+        ),
+        flags: directory.readUInt16LE(position + 8),
+        method: directory.readUInt16LE(position + 10),
+        crc: directory.readUInt32LE(position + 16),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        localHeaderOffset: directory.readUInt32LE(position + 42),
+      });
+      position +=
+        46 +
+        nameLength +
+        directory.readUInt16LE(position + 30) +
+        directory.readUInt16LE(position + 32);
     }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
 
-    console.error("Failed to launch Chrome after multiple attempts");
-    return false;
-  } catch (error) {
-    console.error(`Error launching Chrome: ${error.message}`);
-    return false;
+// Stream of the uncompressed contents of a zip entry
+async function openZipEntry(archivePath, entry) {
+  if (entry.flags & 1) {
+    throw new Error(`${entry.name} is password-protected`);
+  }
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`${entry.name} uses an unsupported compression method`);
   }
-};
 
-// Wait for user to press any key
-const waitForKeypress = async () => {
-  process.stdin.setRawMode(true);
-  return new Promise((resolve) =>
-    process.stdin.once("data", () => {
-      process.stdin.setRawMode(false);
-      resolve();
-    })
+  const header = Buffer.alloc(30);
+  const handle = await fs.promises.open(archivePath, "r");
+  try {
+    await handle.read(header, 0, header.length, entry.localHeaderOffset);
+  } finally {
+    await handle.close();
+  }
+  if (header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+    throw new Error(`${entry.name} has a damaged zip header`);
+  }
+
+  const dataStart =
+    entry.localHeaderOffset +
+    header.length +
+    header.readUInt16LE(26) +
+    header.readUInt16LE(28);
+  const data =
+    entry.compressedSize === 0
+      ? Readable.from([])
+      : fs.createReadStream(archivePath, {
+          start: dataStart,
+          end: dataStart + entry.compressedSize - 1,
+        });
+  return entry.method === 8
+    ? pipeline(data, zlib.createInflateRaw(), () => {})
+    : data;
+}
+
+// Read a zip entry through createChecksumStream, writing it to `outputPath`
+// if given. Resolves with the tally.
+async function readZipEntry(archivePath, entry, outputPath = null) {
+  const tally = {};
+  await promisify(pipeline)(
+    await openZipEntry(archivePath, entry),
+    createChecksumStream(tally),
+    outputPath
+      ? fs.createWriteStream(outputPath)
+      : new Writable({ write: (chunk, encoding, callback) => callback() })
   );
-};
+  return tally;
+}
 
-// Check if Chrome is running with debug port open
-const isChromeReachable = () => {
-  return new Promise((resolve) => {
-    const req = http.request(
-      {
-        hostname: "localhost",
-        port: 9222,
-        path: "/json/version",
-        method: "GET",
-        timeout: 3000,
-      },
-      (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            resolve({
-              success: true,
-              url: JSON.parse(data).webSocketDebuggerUrl,
-            });
-          } catch {
-            resolve({ success: false });
+// Files of a session that go into a bundle, relative to the session
+// directory. Flush chunks, the journal and recovered/filtered copies are
+// left out; with `redactedOnly` so is everything but the HARs and console
+// logs, since the summary, manifest, timeline and report hold URLs and
+// settings that can't be redacted again.
+function selectBundleFiles(sessionDir, redactedOnly) {
+  const isSessionFile = (relativePath) =>
+    isRedactableBundleFile(relativePath) ||
+    (!redactedOnly &&
+      (/^recording_summary\.json(\.enc)?$/.test(relativePath) ||
+        relativePath === SESSION_MANIFEST_FILE ||
+        /^timeline\.json(\.enc)?$/.test(relativePath) ||
+        new RegExp(`^${REPORT_FILE_NAME}(\\.enc)?$`).test(relativePath)));
+
+  return [...listFilesRecursive(sessionDir)]
+    .map((filePath) =>
+      path.relative(sessionDir, filePath).split(path.sep).join("/")
+    )
+    .filter(isSessionFile)
+    .sort();
+}
+
+// Whether a session file is a final HAR or console log, the files
+// --redacted-only bundles and redacts again
+function isRedactableBundleFile(relativePath) {
+  return (
+    /^final_har_files\/[^/]+\.har(\.enc)?$/.test(relativePath) ||
+    /^(console_logs\/)?console_[^/]+\.json(\.gz)?(\.enc)?$/.test(relativePath)
+  );
+}
+
+// Returned by a rewriteJsonValues handler to leave an array item out
+const SKIP_JSON_VALUE = Symbol("skip");
+
+// Rewrite a JSON document read as text chunks, passing values through the
+// `handlers` Map by property name: every item of an array property, or the
+// value itself for any other property. Only the value being handled is
+// parsed, so only one HAR entry or console message is held in memory at a
+// time. The rest of the document is copied as it is, and handled values are
+// written back with the 2-space indentation writeCompressedFile uses. Array
+// item handlers can return SKIP_JSON_VALUE to drop the item. Yields the new
+// document in pieces.
+async function* rewriteJsonValues(chunks, handlers) {
+  const containers = []; // Open objects and arrays, innermost last
+  let inString = false;
+  let escaped = false;
+  let keyText = null; // Object key being read
+  let handler = null; // Handler for the value after the last key
+  let captured = null; // Handled value being read: { text, depth, handler }
+
+  const top = () => containers[containers.length - 1];
+  const isHandledItem = (char) =>
+    top()?.isArray && top().handler && char !== "," && char !== "]";
+
+  for await (const chunk of chunks) {
+    let output = "";
+    let segmentStart = 0;
+
+    for (let index = 0; index < chunk.length; index++) {
+      const char = chunk[index];
+
+      if (captured) {
+        let end = -1;
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === "\\") {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+            if (captured.depth === 0) end = index + 1;
           }
-        });
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === "{" || char === "[") {
+          captured.depth++;
+        } else if (char === "}" || char === "]") {
+          if (captured.depth === 0) {
+            end = index;
+          } else if (--captured.depth === 0) {
+            end = index + 1;
+          }
+        } else if (captured.depth === 0 && /[,\s]/.test(char)) {
+          end = index; // End of a number, true, false or null
+        }
+        if (end === -1) continue;
+
+        captured.text += chunk.slice(segmentStart, end);
+        const value = captured.handler(JSON.parse(captured.text));
+        const indent = "  ".repeat(containers.length);
+        if (!captured.isItem) {
+          output += indentJson(value, containers.length);
+        } else if (value !== SKIP_JSON_VALUE) {
+          // Items are laid out anew, so dropped ones leave no stray commas
+          output += `${top().count++ === 0 ? "" : ","}\n${indent}${indentJson(
+            value,
+            containers.length
+          )}`;
+        }
+        captured = null;
+        segmentStart = end;
+        if (end === index + 1) continue;
+        // The closing character belongs to the enclosing container
       }
-    );
 
-    req.on("error", () => resolve({ success: false }));
-    req.end();
-  });
-};
-
-// Add to utility functions
-const headerCache = new Map();
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (keyText !== null) {
+            top().key = JSON.parse(`"${keyText}"`);
+            keyText = null;
+          }
+        }
+        if (keyText !== null && inString) keyText += char;
+        continue;
+      }
 
-function formatHeaders(headers) {
-  if (!headers) return [];
+      if (top()?.handler && (char === "," || /\s/.test(char))) {
+        output += chunk.slice(segmentStart, index);
+        segmentStart = index + 1;
+        continue;
+      }
+      if (/\s/.test(char)) continue;
+
+      const valueHandler = handler;
+      handler = null;
+      if ((valueHandler && char !== "[") || isHandledItem(char)) {
+        output += chunk.slice(segmentStart, index);
+        segmentStart = index;
+        captured = {
+          text: "",
+          depth: 0,
+          handler: valueHandler || top().handler,
+          isItem: !valueHandler,
+        };
+        index--; // Read this character again as part of the value
+        continue;
+      }
 
-  // Create a cache key from headers object
-  const cacheKey = JSON.stringify(headers);
+      if (char === '"') {
+        inString = true;
+        if (top()?.expectsKey) keyText = "";
+      } else if (char === ":") {
+        top().expectsKey = false;
+        handler = handlers.get(top().key) || null;
+      } else if (char === ",") {
+        if (!top().isArray) top().expectsKey = true;
+      } else if (char === "{") {
+        containers.push({ isArray: false, expectsKey: true, key: null });
+      } else if (char === "[") {
+        containers.push({ isArray: true, handler: valueHandler, count: 0 });
+      } else if (char === "}" || char === "]") {
+        const closed = containers.pop();
+        if (closed.handler && closed.count > 0) {
+          output += `${chunk.slice(segmentStart, index)}\n${"  ".repeat(
+            containers.length
+          )}`;
+          segmentStart = index;
+        }
+      }
+    }
 
-  // Check cache first
-  if (headerCache.has(cacheKey)) {
-    return headerCache.get(cacheKey);
+    if (captured) {
+      captured.text += chunk.slice(segmentStart);
+    } else {
+      output += chunk.slice(segmentStart);
+    }
+    if (output) yield output;
   }
 
-  // Format headers - ensure name field is included
-  const formatted = Object.entries(headers).map(([name, value]) => ({
-    name, // Chrome includes the name field
-    value: String(value),
-  }));
-
-  // Cache the result (with limit to prevent memory leaks)
-  if (headerCache.size < 1000) {
-    headerCache.set(cacheKey, formatted);
+  if (captured || containers.length > 0) {
+    throw new Error("Unexpected end of JSON input");
   }
+}
 
-  return formatted;
+// A HAR or console log file with the current redaction rules applied again,
+// streamed to `tempPath` as plain JSON (encrypted when a passphrase or key
+// file is given). For sessions recorded with --no-redact-sensitive-data, or
+// to apply rules added since. Resolves with the file's name in the bundle and
+// the path written.
+async function createRedactedVariant(filePath, relativePath, tempPath) {
+  const redactPageUrl = (url) => url && redactor.redactUrl(url);
+  const handlers = relativePath.startsWith("final_har_files/")
+    ? new Map([
+        ["pages", (page) => ({ ...page, url: redactor.redactUrl(page.url) })],
+        [
+          "entries",
+          (entry) => {
+            redactor.redactEntry(entry);
+            entry.request.postData = redactor.redactPostData(
+              entry.request.postData
+            );
+            const content = entry.response?.content;
+            if (content?.text && content.encoding !== "base64") {
+              content.text = redactor.redactBody(
+                content.text,
+                content.mimeType
+              );
+            }
+            return entry;
+          },
+        ],
+      ])
+    : new Map([
+        ["pageUrl", redactPageUrl],
+        ["tabs", (tab) => ({ ...tab, pageUrl: redactPageUrl(tab.pageUrl) })],
+        ["entries", redactor.redactConsoleEntry],
+        ["logs", redactor.redactConsoleEntry],
+      ]);
+
+  return {
+    name: getOutputPath(relativePath.replace(/(\.gz)?(\.enc)?$/, "")),
+    content: await writeStreamedFile(
+      tempPath,
+      rewriteJsonValues(readTextFile(filePath), handlers)
+    ),
+  };
 }
 
-function extractQueryString(url) {
+// Package a finished session into a zip bundle with a manifest of SHA-256
+// checksums, by default <sessionDir>.zip next to the session folder
+async function exportSession(sessionPath, archivePath) {
+  if (!sessionPath) {
+    throw new Error(`Usage: node chrome.js ${COMMANDS.export.usage}`);
+  }
+  const targetDir = path.resolve(sessionPath);
+  if (!fs.existsSync(targetDir)) {
+    throw new Error(`Session directory not found: ${targetDir}`);
+  }
+  const manifest = readSessionManifest(targetDir);
+  if (isSessionActive(manifest)) {
+    throw new Error(`Session ${manifest.id} is still being recorded`);
+  }
+  const { redactedOnly } = EXPORT_CONFIG;
+  if (redactedOnly && !redactor.isActive) {
+    throw new Error(
+      "--redacted-only needs redaction rules; drop --no-redact-sensitive-data or add --redact-* options"
+    );
+  }
+  const files = selectBundleFiles(targetDir, redactedOnly);
+  if (files.length === 0) {
+    throw new Error(`No session files found in ${targetDir}`);
+  }
+
+  const outputPath = path.resolve(archivePath || `${targetDir}.zip`);
+  const partPath = `${outputPath}.part`;
+  const zip = new ZipWriter(partPath);
+  const bundledFiles = [];
   try {
-    const parsedUrl = new URL(url);
-    return Array.from(parsedUrl.searchParams.entries()).map(
-      ([name, value]) => ({ name, value: String(value) })
+    for (const relativePath of files) {
+      const filePath = path.join(targetDir, relativePath);
+      const redacted = redactedOnly && isRedactableBundleFile(relativePath);
+      const { name, content } = redacted
+        ? await createRedactedVariant(
+            filePath,
+            relativePath,
+            `${partPath}.redacted`
+          )
+        : { name: relativePath, content: filePath };
+      try {
+        const { size, sha256 } = await zip.addFile(name, content);
+        bundledFiles.push({ path: name, size, sha256 });
+      } finally {
+        if (redacted) await fs.promises.unlink(content).catch(() => {});
+      }
+    }
+
+    const bundleManifest = {
+      format: BUNDLE_FORMAT,
+      version: 1,
+      sessionId: manifest?.id || path.basename(targetDir),
+      exportedAt: new Date().toISOString(),
+      tool: readToolInfo(),
+      redactedOnly,
+      files: bundledFiles,
+    };
+    await zip.addFile(
+      BUNDLE_MANIFEST_FILE,
+      Buffer.from(JSON.stringify(bundleManifest, null, 2))
     );
-  } catch {
-    return [];
+    await zip.close();
+  } catch (err) {
+    zip.destroy();
+    await fs.promises.unlink(partPath).catch(() => {});
+    throw err;
   }
+  await fs.promises.rename(partPath, outputPath);
+
+  console.log(
+    `Exported ${bundledFiles.length} file(s)${
+      redactedOnly ? " (redacted)" : ""
+    } to ${outputPath}`
+  );
 }
 
-function createHarFile(entries, pages) {
-  // Handle both Map objects and arrays by ensuring entries is always an array
-  const eventsArray = Array.isArray(entries)
-    ? entries
-    : entries instanceof Map
-    ? Array.from(entries.values()).flat() // If it's a Map of arrays, flatten the values
-    : []; // If it's neither a Map nor an array, use an empty array
+// Check every file of a bundle against the zip CRCs and the SHA-256
+// checksums of its manifest, unpacking them into `extractDir` if given.
+// Resolves with the bundle manifest and a list of problems, empty when the
+// bundle is intact.
+async function checkBundle(archivePath, extractDir = null) {
+  const entries = await readZipEntries(archivePath);
+  const manifestEntry = entries.find(
+    (entry) => entry.name === BUNDLE_MANIFEST_FILE
+  );
+  if (!manifestEntry) {
+    throw new Error(`${archivePath} has no ${BUNDLE_MANIFEST_FILE}`);
+  }
+  const chunks = [];
+  for await (const chunk of await openZipEntry(archivePath, manifestEntry)) {
+    chunks.push(chunk);
+  }
+  const manifest = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  if (manifest.format !== BUNDLE_FORMAT || !Array.isArray(manifest.files)) {
+    throw new Error(`${archivePath} is not a ${BUNDLE_FORMAT} archive`);
+  }
 
-  // Process entries in batches to avoid large memory allocations
-  const batchSize = MEMORY_CONFIG.batchSize || 100;
-  let processedEntries = [];
-
-  // Process entries in batches
-  for (let i = 0; i < eventsArray.length; i += batchSize) {
-    const batch = eventsArray.slice(i, i + batchSize).map((entry) => {
-      // Reuse timing object for better performance
-      const timings = {
-        blocked: parseFloat((entry.timings?.blocked || 0).toFixed(5)),
-        dns: entry.timings?.dns || -1,
-        ssl: entry.timings?.ssl || -1,
-        connect: entry.timings?.connect || -1,
-        send: parseFloat((entry.timings?.send || 0).toFixed(5)),
-        wait: parseFloat((entry.timings?.wait || 0).toFixed(5)),
-        receive: parseFloat((entry.timings?.receive || 0).toFixed(5)),
-        _blocked_queueing: parseFloat(
-          (entry.timings?._blocked_queueing || 0).toFixed(5)
-        ),
-        // Add Chrome-specific timing fields
-        _workerStart: -1,
-        _workerReady: -1,
-        _workerFetchStart: -1,
-        _workerRespondWithSettled: -1,
-      };
+  const expected = new Map(manifest.files.map((file) => [file.path, file]));
+  const problems = [];
+  for (const entry of entries) {
+    if (entry === manifestEntry || entry.name.endsWith("/")) continue;
+    const file = expected.get(entry.name);
+    expected.delete(entry.name);
+    if (!file) {
+      problems.push(`${entry.name}: not listed in ${BUNDLE_MANIFEST_FILE}`);
+      continue;
+    }
+    // Names come from the archive; never write outside extractDir
+    if (
+      path.isAbsolute(entry.name) ||
+      entry.name.split(/[\\/]/).includes("..")
+    ) {
+      problems.push(`${entry.name}: unsafe path`);
+      continue;
+    }
+
+    let outputPath = null;
+    if (extractDir) {
+      outputPath = path.join(extractDir, entry.name);
+      await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    }
+    try {
+      const tally = await readZipEntry(archivePath, entry, outputPath);
+      if (tally.crc !== entry.crc || tally.size !== entry.size) {
+        problems.push(`${entry.name}: damaged in the archive`);
+      } else if (
+        tally.size !== file.size ||
+        tally.hash.digest("hex") !== file.sha256
+      ) {
+        problems.push(`${entry.name}: SHA-256 checksum mismatch`);
+      }
+    } catch (err) {
+      problems.push(
+        `${entry.name}: ${
+          err.code?.startsWith("Z_") ? "damaged in the archive" : err.message
+        }`
+      );
+    }
+  }
+  for (const missingPath of expected.keys()) {
+    problems.push(`${missingPath}: missing from the archive`);
+  }
 
-      // Create a request object that matches Chrome's format
-      const request = entry.request || {};
-      const chromeRequest = {
-        method: request.method || "GET",
-        url: request.url || "",
-        httpVersion: request.httpVersion || "http/2.0",
-        headers: request.headers || [],
-        queryString: request.queryString || [],
-        cookies: request.cookies || [],
-        headersSize: request.headersSize || -1,
-        bodySize: request.bodySize || 0,
-      };
+  return { manifest, problems };
+}
 
-      // Create a response object that matches Chrome's format
-      const response = entry.response || {};
-      const chromeResponse = {
-        status: response.status || 0,
-        statusText: response.statusText || "",
-        httpVersion: response.httpVersion || "http/2.0",
-        headers: response.headers || [],
-        cookies: response.cookies || [],
-        content: response.content || {
-          size: 0,
-          mimeType: response.mimeType || "",
-        },
-        redirectURL: response.redirectURL || "",
-        headersSize: response.headersSize || -1,
-        bodySize: response.bodySize || -1,
-        _transferSize: response._transferSize || 0,
-        _error: response._error || null,
-        _fetchedViaServiceWorker: false,
-      };
+// Verify an exported bundle without unpacking it
+async function verifyBundle(archivePath) {
+  if (!archivePath) {
+    throw new Error(`Usage: node chrome.js ${COMMANDS.verify.usage}`);
+  }
+  const { manifest, problems } = await checkBundle(path.resolve(archivePath));
+  for (const problem of problems) {
+    console.error(colors.error(problem));
+  }
+  if (problems.length > 0) {
+    throw new Error(
+      `${problems.length} of ${manifest.files.length} file(s) failed verification`
+    );
+  }
+  console.log(
+    `${manifest.sessionId}: all ${manifest.files.length} file(s) match their checksums`
+  );
+}
 
-      // Generate connection ID if not present (Chrome uses numeric strings)
-      const connectionId =
-        entry._connectionId ||
-        (entry.connection
-          ? entry.connection
-          : Math.floor(Math.random() * 9000 + 1000).toString());
+// Verify an exported bundle and unpack it as a session folder in the
+// sessions folder (or --output-dir). Nothing is kept if verification fails.
+async function importBundle(archivePath) {
+  if (!archivePath) {
+    throw new Error(`Usage: node chrome.js ${COMMANDS.import.usage}`);
+  }
+  const baseDir = getSessionsBaseDir();
+  const partDir = path.join(baseDir, `.import_${process.pid}`);
+  await fs.promises.rm(partDir, { recursive: true, force: true });
+  await fs.promises.mkdir(partDir, { recursive: true });
 
-      // Create a clean entry that matches Chrome's format exactly
-      return {
-        _connectionId: connectionId,
-        _initiator: entry._initiator || {
-          type: "script",
-          stack: {
-            callFrames: [],
-            parentId: entry._initiator?.stack?.parentId || {},
-          },
-        },
-        _priority: entry._priority || "VeryHigh", // Chrome uses VeryHigh instead of High
-        _resourceType: entry._resourceType || "other",
-        _requestId: entry._requestId,
-        pageref: entry.pageref,
-        cache: {},
-        connection: entry.connection || "443",
-        request: chromeRequest,
-        response: chromeResponse,
-        serverIPAddress: entry.serverIPAddress || "",
-        startedDateTime: entry.startedDateTime,
-        time: parseFloat((entry.time || 0).toFixed(5)),
-        timings: timings,
-        _timestamp: entry._timestamp || Date.now(),
-      };
-    });
+  let targetDir;
+  try {
+    const { manifest, problems } = await checkBundle(
+      path.resolve(archivePath),
+      partDir
+    );
+    if (problems.length > 0) {
+      for (const problem of problems) {
+        console.error(colors.error(problem));
+      }
+      throw new Error(
+        `${problems.length} of ${manifest.files.length} file(s) failed verification; nothing was imported`
+      );
+    }
+    targetDir = path.join(baseDir, path.basename(manifest.sessionId));
+    if (fs.existsSync(targetDir)) {
+      throw new Error(`A session named ${manifest.sessionId} already exists`);
+    }
+    await fs.promises.rename(partDir, targetDir);
+  } catch (err) {
+    await fs.promises.rm(partDir, { recursive: true, force: true });
+    throw err;
+  }
 
-    processedEntries.push(...batch);
+  const sessionManifest = readSessionManifest(targetDir);
+  if (sessionManifest) {
+    try {
+      updateSessionsIndex(
+        baseDir,
+        summarizeSession(targetDir, sessionManifest)
+      );
+    } catch (err) {
+      console.warn(`Could not update sessions index: ${err.message}`);
+    }
   }
+  console.log(`Imported ${path.basename(targetDir)} to ${targetDir}`);
+}
 
-  // Create a HAR file that matches Chrome's expected format
+// Short form of a captured network entry for the session timeline
+function summarizeTimelineRequest(tabId, entry, harFile) {
   return {
-    log: {
-      version: "1.2",
-      creator: {
-        name: "WebInspector",
-        version: "1.0", // Chrome uses "1.0" in some cases, not "537.36"
-      },
-      pages: pages.map((page) => ({
-        id: page.id,
-        title: page.title || "",
-        startedDateTime: page.startedDateTime,
-        url: page.url || "",
-        // Add these fields that Chrome includes
-        pageTimings: {
-          onContentLoad: page.pageTimings?.onContentLoad || -1,
-          onLoad: page.pageTimings?.onLoad || -1,
-        },
-      })),
-      entries: processedEntries,
+    time: entry.startedDateTime,
+    type: "request",
+    tabId,
+    requestId: entry._requestId,
+    method: entry.request?.method,
+    url: entry.request?.url,
+    status: entry.response?.status,
+    error: entry.response?._error || undefined,
+    durationMs: entry.time,
+    timings: {
+      blocked: entry.timings?.blocked ?? -1,
+      dns: entry.timings?.dns ?? -1,
+      connect: entry.timings?.connect ?? -1,
+      send: entry.timings?.send ?? 0,
+      wait: entry.timings?.wait ?? 0,
+      receive: entry.timings?.receive ?? 0,
     },
+    harFile,
   };
 }
 
-// Function to save console logs for all tabs
-function saveAllConsoleLogs(sessionDir, allTabsLogs) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Create a console logs directory if many tabs
-      let logsDir;
-      const consoleDir = path.join(sessionDir, "console_logs");
-      const hasMultipleTabs = Object.keys(allTabsLogs).length > 1;
+// Whether a timeline request failed or got an error status
+function isFailedTimelineRequest(event) {
+  return Boolean(event.error) || event.status >= 400 || event.status === 0;
+}
 
-      if (hasMultipleTabs && !fs.existsSync(consoleDir)) {
-        try {
-          fs.mkdirSync(consoleDir, { recursive: true });
-          logsDir = consoleDir;
-        } catch (e) {
-          console.warn(`Could not create console logs directory: ${e.message}`);
-          // Fall back to session directory
-          logsDir = sessionDir;
-        }
-      } else {
-        logsDir = fs.existsSync(consoleDir) ? consoleDir : sessionDir;
+// Merge streams that are each ordered by `time` into one ordered stream,
+// holding only the next event of every stream in memory. On equal times the
+// earlier stream goes first. Streams may be arrays or (async) iterables.
+async function* mergeTimelineStreams(streams) {
+  const heads = [];
+  for (const stream of streams) {
+    const iterator = (
+      stream[Symbol.asyncIterator] || stream[Symbol.iterator]
+    ).call(stream);
+    const next = await iterator.next();
+    if (!next.done) {
+      heads.push({ iterator, event: next.value });
+    }
+  }
+
+  while (heads.length > 0) {
+    let earliest = 0;
+    for (let i = 1; i < heads.length; i++) {
+      const time = heads[i].event.time || "";
+      if (time.localeCompare(heads[earliest].event.time || "") < 0) {
+        earliest = i;
       }
+    }
 
-      let totalLogEntries = 0;
-      const tabSummaries = [];
-      const savePromises = [];
+    const head = heads[earliest];
+    yield head.event;
+    const next = await head.iterator.next();
+    if (next.done) {
+      heads.splice(earliest, 1);
+    } else {
+      head.event = next.value;
+    }
+  }
+}
 
-      // For each tab, create a separate log file - process in parallel for better performance
-      Object.entries(allTabsLogs).forEach(([pageId, tabData], index) => {
-        // Skip if no logs for this tab
-        if (!tabData.logs || tabData.logs.length === 0) {
-          return;
-        }
+// Put a stream of events that is nearly ordered by `time` in order, holding
+// at most `windowSize` events. Events captured slightly out of order (e.g. a
+// console message whose timestamp predates the one before it) are moved into
+// place; events that arrive later than that are passed on as they are.
+async function* reorderTimelineStream(events, windowSize) {
+  const held = [];
+  for await (const event of events) {
+    // Insert after events with the same time to keep the capture order
+    const time = event.time || "";
+    let index = held.length;
+    while (index > 0 && (held[index - 1].time || "").localeCompare(time) > 0) {
+      index--;
+    }
+    held.splice(index, 0, event);
+    if (held.length > windowSize) {
+      yield held.shift();
+    }
+  }
+  yield* held;
+}
 
-        totalLogEntries += tabData.logs.length;
+// A tab's console entries as timeline events
+async function* readTimelineConsoleEvents(pageId, tabData) {
+  for await (const entry of readTabConsoleEntries(pageId, tabData)) {
+    yield {
+      time: entry.timestamp,
+      type: "console",
+      tabId: pageId,
+      level: entry.type,
+      text: entry.text,
+      count: entry.count,
+      url: entry.stackTrace?.[0]?.url || undefined,
+    };
+  }
+}
 
-        // Create a clean filename from tab title or use tab index if title unavailable
-        const safeTitle = (tabData.pageTitle || `Tab${index + 1}`)
-          .replace(/[^a-z0-9]/gi, "_")
-          .substring(0, 30);
+// Tab, navigation, request and console events of every tab merged into one
+// stream ordered by time. `events` holds the tab and navigation events,
+// `requestSources` maps each tab id to a function reading its request events
+// in time order, and console entries are read from `consoleLogs` including
+// their flush files. Each event gets an id, and is linked to the navigation
+// it happened under (`navigationId`). Console errors and warnings are also
+// linked to the request they most likely relate to (`relatedRequestId`): the
+// last earlier request of the tab for the URL the message points at,
+// otherwise the last earlier failed request of the tab.
+async function* readTimeline(events, requestSources, consoleLogs) {
+  const merged = mergeTimelineStreams([
+    [...events].sort((a, b) => (a.time || "").localeCompare(b.time || "")),
+    ...Array.from(requestSources.values(), (readRequests) =>
+      reorderTimelineStream(readRequests(), TIMELINE_REORDER_WINDOW)
+    ),
+    ...Object.entries(consoleLogs).map(([pageId, tabData]) =>
+      reorderTimelineStream(
+        readTimelineConsoleEvents(pageId, tabData),
+        TIMELINE_REORDER_WINDOW
+      )
+    ),
+  ]);
+
+  const lastNavigation = new Map(); // Map<tabId, eventId>
+  const lastFailedRequest = new Map(); // Map<tabId, eventId>
+  const lastRequestByUrl = new Map(); // Map<tabId, Map<url, eventId>>
+  let eventCount = 0;
+  for await (const { time, type, tabId, ...details } of merged) {
+    // Put the common fields first so every line reads the same way
+    const event = { id: ++eventCount, time, type, tabId, ...details };
+
+    if (type === "navigation" || type === "tab-opened") {
+      lastNavigation.set(tabId, event.id);
+    } else if (type === "request" || type === "console") {
+      event.navigationId = lastNavigation.get(tabId);
+    }
 
-        const tabLogFilePath = path.join(
-          logsDir,
-          `console_${safeTitle}_${pageId.substring(0, 6)}.json`
-        );
+    if (type === "request") {
+      if (!lastRequestByUrl.has(tabId)) {
+        lastRequestByUrl.set(tabId, new Map());
+      }
+      // Least recently requested URLs are forgotten first
+      const tabUrls = lastRequestByUrl.get(tabId);
+      tabUrls.delete(event.url);
+      tabUrls.set(event.url, event.id);
+      if (tabUrls.size > TIMELINE_MAX_TRACKED_URLS) {
+        tabUrls.delete(tabUrls.keys().next().value);
+      }
+      if (isFailedTimelineRequest(event)) {
+        lastFailedRequest.set(tabId, event.id);
+      }
+    } else if (
+      type === "console" &&
+      ["error", "warning", "pageerror"].includes(event.level)
+    ) {
+      event.relatedRequestId =
+        lastRequestByUrl.get(tabId)?.get(event.url) ??
+        lastFailedRequest.get(tabId);
+    }
 
-        // Calculate entry types in a single pass
-        const entriesByType = {
-          log: 0,
-          info: 0,
-          warning: 0,
-          error: 0,
-          debug: 0,
-          other: 0,
-        };
+    yield event;
+  }
+}
 
-        tabData.logs.forEach((entry) => {
-          const type = entry.type;
-          if (entriesByType.hasOwnProperty(type)) {
-            entriesByType[type]++;
-          } else {
-            entriesByType.other++;
-          }
-        });
+// Write timeline.json and timeline.ndjson (see readTimeline). The timeline is
+// read once per file, so it is never held in memory as a whole.
+async function saveTimeline(sessionDir, events, requestSources, consoleLogs) {
+  let eventCount = 0;
+  async function* ndjsonLines() {
+    const timeline = readTimeline(events, requestSources, consoleLogs);
+    for await (const event of timeline) {
+      eventCount++;
+      yield `${JSON.stringify(event)}\n`;
+    }
+  }
+  await writeStreamedFile(
+    path.join(sessionDir, "timeline.ndjson"),
+    ndjsonLines()
+  );
 
-        // Create structured log output for this tab
-        const formattedLogs = {
-          timestamp: new Date().toLocaleTimeString(),
-          pageId,
-          pageTitle: tabData.pageTitle,
-          pageUrl: tabData.pageUrl,
-          totalEntries: tabData.logs.length,
-          entriesByType,
-          entries: tabData.logs,
-        };
+  const timelinePath = await writeStreamedFile(
+    path.join(sessionDir, "timeline.json"),
+    serializeJson({
+      totalEvents: eventCount,
+      events: new StreamedJsonArray(
+        readTimeline(events, requestSources, consoleLogs)
+      ),
+    })
+  );
+  return { timelinePath, eventCount };
+}
 
-        // Save asynchronously for better performance
-        const savePromise = writeCompressedFile(
-          tabLogFilePath,
-          formattedLogs
-        ).catch((err) =>
-          console.error(`Error saving logs for tab ${pageId}: ${err.message}`)
-        );
+// Styles and script of report.html, kept in assets/ next to this file. The
+// page renders the embedded session data itself, so the report works offline
+// without any other files.
+function readReportAsset(fileName) {
+  return fs.readFileSync(path.join(__dirname, "assets", fileName), "utf8");
+}
 
-        savePromises.push(savePromise);
+// Stream the pieces of report.html: the page shell, the session data as an
+// embedded JSON block, and the script that renders it
+async function* renderSessionReport(reportData) {
+  yield `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>Chrome Logs report - ${escapeHtml(
+    reportData.sessionName
+  )}</title>\n<style>\n${readReportAsset(
+    "report.css"
+  )}</style>\n</head>\n<body>\n<header><h1>Chrome Logs session report</h1><p></p></header>\n<main></main>\n<script type="application/json" id="report-data">`;
+  // "<" only occurs inside JSON strings, where its \u003c escape parses back
+  // to the same text, so captured data can never close the script early
+  for await (const piece of serializeJson(reportData)) {
+    yield piece.replace(/</g, "\\u003c");
+  }
+  yield `</script>\n<script>\n${readReportAsset(
+    "report.js"
+  )}</script>\n</body>\n</html>\n`;
+}
 
-        // Store summary for combined log file
-        tabSummaries.push({
-          pageId,
-          pageTitle: tabData.pageTitle,
-          pageUrl: tabData.pageUrl,
-          logCount: tabData.logs.length,
-        });
+// Escape text for use in HTML markup
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+}
+
+// Write report.html: the summary stats, failed requests, a filterable console
+// table and a request waterfall per tab, built from the summary, the timeline
+// request events of every tab (see readTimeline) and every tab's console
+// entries. Large sessions are capped so the page stays usable; failed
+// requests, errors and warnings are kept before anything else.
+async function saveSessionReport(
+  sessionDir,
+  summaryData,
+  requestSources,
+  consoleLogs
+) {
+  const tabs = new Map();
+  const getTab = (tabId) => {
+    if (!tabs.has(tabId)) {
+      const pageInfo = pages.get(tabId) || consoleLogs[tabId];
+      tabs.set(tabId, {
+        tabId,
+        title: pageInfo?.title || pageInfo?.pageTitle || "",
+        url: pageInfo?.url || pageInfo?.pageUrl || "",
+        requestCount: 0,
+        requests: [],
       });
+    }
+    return tabs.get(tabId);
+  };
 
-      // Also create a combined log file - but with limited entries to avoid memory pressure
-      const combinedLogFilePath = path.join(sessionDir, `console_all.json`);
+  const failedRequests = [];
+  let failedRequestCount = 0;
+  const requests = mergeTimelineStreams(
+    Array.from(requestSources.values(), (readRequests) => readRequests())
+  );
+  for await (const request of requests) {
+    const tab = getTab(request.tabId);
+    tab.requestCount++;
+    if (tab.requests.length < REPORT_MAX_REQUESTS_PER_TAB) {
+      tab.requests.push(request);
+    }
+    if (isFailedTimelineRequest(request)) {
+      failedRequestCount++;
+      if (failedRequests.length < REPORT_MAX_REQUESTS_PER_TAB) {
+        failedRequests.push(request);
+      }
+    }
+  }
 
-      // Create a summary version with limited full data to avoid memory pressure
-      const combinedLogData = {
-        timestamp: new Date().toLocaleTimeString(),
-        totalTabs: tabSummaries.length,
-        tabs: tabSummaries,
-        totalEntries: totalLogEntries,
-        // Include limited log data - just first 100 logs per tab
-        tabLogs: Object.fromEntries(
-          Object.entries(allTabsLogs).map(([tabId, data]) => {
-            const limitedLogs = {
-              ...data,
-              logs: data.logs?.slice(0, 100) || [],
-              logCount: data.logs?.length || 0,
-              truncated: (data.logs?.length || 0) > 100,
-            };
-            return [tabId, limitedLogs];
-          })
-        ),
-      };
+  const problems = [];
+  const others = [];
+  let consoleTotal = 0;
+  for (const [pageId, tabData] of Object.entries(consoleLogs)) {
+    getTab(pageId);
+    for await (const entry of readTabConsoleEntries(pageId, tabData)) {
+      consoleTotal++;
+      const isProblem = ["error", "warning", "pageerror"].includes(entry.type);
+      const bucket = isProblem ? problems : others;
+      if (bucket.length < REPORT_MAX_CONSOLE_ENTRIES) {
+        bucket.push({
+          time: entry.timestamp,
+          tabId: pageId,
+          level: entry.type,
+          text: entry.text,
+          count: entry.count,
+          stackTrace: entry.stackTrace,
+          stack: entry.error?.stack,
+        });
+      }
+    }
+  }
+  const consoleEntries = problems
+    .concat(others.slice(0, REPORT_MAX_CONSOLE_ENTRIES - problems.length))
+    .sort((a, b) => (a.time || "").localeCompare(b.time || ""));
+
+  return writeStreamedFile(
+    path.join(sessionDir, REPORT_FILE_NAME),
+    renderSessionReport({
+      sessionName: path.basename(sessionDir),
+      summary: summaryData,
+      tabs: [...tabs.values()],
+      failedRequests,
+      failedRequestCount,
+      console: { total: consoleTotal, entries: consoleEntries },
+    })
+  );
+}
 
-      const combinedSavePromise = writeCompressedFile(
-        combinedLogFilePath,
-        combinedLogData
-      ).catch((err) =>
-        console.error(`Error saving combined logs: ${err.message}`)
+// Encode a record as one journal line. Encrypted sessions get one encrypted,
+// base64-encoded record per line.
+function encodeJournalRecord(record) {
+  const json = JSON.stringify(record);
+  return encryption.isActive
+    ? encryptBuffer(Buffer.from(json)).toString("base64")
+    : json;
+}
+
+// Read the records of a journal in order, decrypting the lines of encrypted
+// sessions. A crash can leave the last line half-written; unreadable lines
+// are skipped and counted in `skipped`. If the first line can't be decrypted
+// the key is wrong, and that is an error.
+async function* readJournal(journalPath, skipped = { count: 0 }) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(journalPath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+  let isFirstLine = true;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const isEncrypted = !line.startsWith("{");
+    let record;
+    try {
+      record = JSON.parse(
+        isEncrypted ? decryptBuffer(Buffer.from(line, "base64")) : line
       );
+    } catch (err) {
+      if (isEncrypted && isFirstLine) throw err;
+      skipped.count++;
+      continue;
+    } finally {
+      isFirstLine = false;
+    }
+    yield record;
+  }
+}
 
-      savePromises.push(combinedSavePromise);
+// Rebuild per-tab HAR files and console logs from a session's journal into
+// <sessionDir>/recovered, for sessions whose process was killed before the
+// final save
+async function recoverSession(sessionPath) {
+  if (!sessionPath) {
+    throw new Error(`Usage: node chrome.js ${COMMANDS.recover.usage}`);
+  }
+  const targetDir = path.resolve(sessionPath);
+  const journalPath = path.join(targetDir, JOURNAL_FILE_NAME);
+  if (!fs.existsSync(journalPath)) {
+    throw new Error(`No ${JOURNAL_FILE_NAME} found in ${targetDir}`);
+  }
 
-      // Wait for all save operations to complete
-      await Promise.allSettled(savePromises);
-      resolve();
-    } catch (e) {
-      console.error(`Error saving console logs: ${e.message}`);
-      // Try a simpler approach as fallback
-      try {
-        const backupPath = path.join(sessionDir, "console_backup.json");
-        fs.writeFileSync(
-          backupPath,
-          JSON.stringify({
-            timestamp: new Date().toLocaleTimeString(),
-            error: e.message,
-            tabCount: Object.keys(allTabsLogs).length,
-          })
+  const recoveredDir = path.join(targetDir, "recovered");
+  const harDir = path.join(recoveredDir, "final_har_files");
+  await fs.promises.mkdir(harDir, { recursive: true });
+
+  // Network entries are split into one spill file per tab, written like the
+  // journal itself, so the journal is read once and memory stays bounded by
+  // the requests that were in flight
+  const spills = new Map(); // Map<tabId, { filePath, stream }>
+  const spillEntry = async (tabId, entry) => {
+    if (!spills.has(tabId)) {
+      const filePath = path.join(
+        recoveredDir,
+        `.network_${spills.size + 1}.ndjson.part`
+      );
+      spills.set(tabId, { filePath, stream: fs.createWriteStream(filePath) });
+    }
+    const { stream } = spills.get(tabId);
+    if (!stream.write(encodeJournalRecord(entry) + "\n")) {
+      await once(stream, "drain");
+    }
+  };
+
+  try {
+    // Page details and console logs per tab. A request is journaled when it
+    // starts, when its response arrives and when it completes, each record
+    // holding what changed since the one before.
+    const recoveredPages = new Map();
+    const recoveredLogs = {};
+    const inFlight = new Map(); // Map<tabId, Map<requestId, entry>>
+    const skipped = { count: 0 };
+    for await (const record of readJournal(journalPath, skipped)) {
+      if (record.type === "page") {
+        recoveredPages.set(record.tabId, record.page);
+      } else if (record.type === "console") {
+        if (!recoveredLogs[record.tabId]) {
+          recoveredLogs[record.tabId] = {
+            pageTitle: record.pageTitle,
+            pageUrl: record.pageUrl,
+            logs: [],
+          };
+        }
+        appendConsoleEntry(recoveredLogs[record.tabId], record.entry);
+      } else if (record.type === "request" || record.type === "response") {
+        if (!inFlight.has(record.tabId)) {
+          inFlight.set(record.tabId, new Map());
+        }
+        const tabInFlight = inFlight.get(record.tabId);
+        tabInFlight.set(
+          record.requestId,
+          applyJournalDelta(tabInFlight.get(record.requestId), record.delta)
         );
-        console.log(`Created backup logs summary at ${backupPath}`);
-        resolve();
-      } catch (backupErr) {
-        console.error(
-          `Critical error - couldn't save logs: ${backupErr.message}`
+      } else if (record.type === "network") {
+        const tabInFlight = inFlight.get(record.tabId);
+        const entry = applyJournalDelta(
+          tabInFlight?.get(record.requestId),
+          record.delta
         );
-        reject(e);
+        tabInFlight?.delete(record.requestId);
+        await spillEntry(record.tabId, entry);
       }
     }
-  });
-}
 
-// The original saveConsoleLogs function remains as a fallback
-function saveConsoleLogs(filePath, logs) {
-  try {
-    if (!logs || logs.length === 0) {
-      console.log("No console logs to save");
-      // Save an empty structure with metadata
-      fs.writeFileSync(
-        filePath,
-        JSON.stringify(
-          {
-            timestamp: new Date().toLocaleTimeString(),
-            totalEntries: 0,
-            message: "No console logs were captured during this session",
-            entries: [],
-          },
-          null,
-          2
-        )
-      );
-      return;
+    // Requests the crash interrupted are kept, flagged like the ones still
+    // in flight when a recording stops
+    for (const [tabId, tabInFlight] of inFlight) {
+      for (const entry of tabInFlight.values()) {
+        if (!entry.response._error) {
+          entry.response._error = INCOMPLETE_REQUEST_ERROR;
+        }
+        await spillEntry(tabId, entry);
+      }
     }
+    await Promise.all(
+      Array.from(spills.values(), ({ stream }) => {
+        stream.end();
+        return once(stream, "finish");
+      })
+    );
 
-    // Count by type in a single pass
-    const entriesByType = {
-      log: 0,
-      info: 0,
-      warning: 0,
-      error: 0,
-      debug: 0,
-      other: 0,
-    };
-    logs.forEach((log) => {
-      const type = log.type;
-      if (entriesByType.hasOwnProperty(type)) {
-        entriesByType[type]++;
-      } else {
-        entriesByType.other++;
+    for (const [tabId, { filePath }] of spills) {
+      async function* readTabChunks() {
+        let chunk = [];
+        for await (const entry of readJournal(filePath)) {
+          chunk.push(entry);
+          if (chunk.length >= MEMORY_CONFIG.maxEventsBeforeFlush) {
+            yield chunk;
+            chunk = [];
+          }
+        }
+        yield chunk;
       }
-    });
-
-    // Create structured log output
-    fs.writeFileSync(
-      filePath,
-      JSON.stringify(
-        {
-          timestamp: new Date().toLocaleTimeString(),
-          totalEntries: logs.length,
-          entriesByType,
-          entries: logs,
-        },
-        null,
-        2
-      )
-    );
 
-    console.log(`Saved ${logs.length} console log entries to ${filePath}`);
-  } catch (e) {
-    console.error(`Error saving console logs: ${e.message}`);
-    // Try a simpler approach as fallback
-    try {
-      fs.writeFileSync(filePath + ".backup", JSON.stringify(logs));
-    } catch (backupErr) {
-      console.error(
-        `Critical error - couldn't save logs: ${backupErr.message}`
+      const pageInfo = recoveredPages.get(tabId);
+      const harFilePath = path.join(
+        harDir,
+        `${getCleanFilenameFromUrl(
+          extractBaseUrl(pageInfo?.url || ""),
+          tabId
+        )}.har`
+      );
+      const count = await writeHarFile(
+        harFilePath,
+        pageInfo ? [pageInfo] : [],
+        orderHarEntries(readTabChunks())
+      );
+      console.log(
+        `Recovered ${count} network entries to ${getOutputPath(harFilePath)}`
       );
     }
-  }
-}
 
-// Helper function for compressed writes
-function writeCompressedFile(filePath, data) {
-  return new Promise((resolve, reject) => {
-    // Skip compression for now to reduce complexity
-    try {
-      if (writeFile(filePath, data)) {
-        resolve(filePath);
-      } else {
-        reject(new Error("Failed to write file"));
-      }
-    } catch (err) {
-      reject(err);
+    const consoleCount = Object.values(recoveredLogs).reduce(
+      (total, tabData) => total + tabData.logs.length,
+      0
+    );
+    if (consoleCount > 0) {
+      await saveAllConsoleLogs(recoveredDir, recoveredLogs);
+      console.log(`Recovered ${consoleCount} console logs to ${recoveredDir}`);
     }
-  });
+
+    if (skipped.count > 0) {
+      console.warn(`Skipped ${skipped.count} unreadable journal line(s)`);
+    }
+    if (spills.size === 0 && consoleCount === 0) {
+      console.log("The journal contains no captured events");
+    }
+  } finally {
+    for (const { filePath, stream } of spills.values()) {
+      stream.destroy();
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
 }
 
 // Helper function to fetch Chrome WebSocket URL manually without using fetch
@@ -1049,8 +5787,8 @@ function fetchChromeWebSocketUrl() {
   return new Promise((resolve, reject) => {
     const req = http.request(
       {
-        hostname: "localhost",
-        port: 9222,
+        hostname: RUN_CONFIG.host,
+        port: RUN_CONFIG.port,
         path: "/json/version",
         method: "GET",
       },
@@ -1082,50 +5820,56 @@ function fetchChromeWebSocketUrl() {
   });
 }
 
-// Main function
-(async () => {
+// Main function: runs a command, or records from Chrome until stopped
+async function main() {
+  // Resolve the configuration before anything touches the disk
+  let resolvedConfig;
+  let scriptedUrls = null;
+  let journey = null;
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      showUsage();
+      return;
+    }
+    resolvedConfig = resolveConfig(args);
+    compileConfig();
+
+    const [commandName, ...commandArgs] = args.positionals;
+    if (commandName) {
+      const command = COMMANDS[commandName];
+      if (!command) {
+        throw new Error(`Unknown command: ${commandName} (see --help)`);
+      }
+      await command.run(...commandArgs);
+      return;
+    }
+
+    // Validate scripted inputs up front rather than after connecting
+    if (RUN_CONFIG.urls) {
+      scriptedUrls = loadUrlList(RUN_CONFIG.urls);
+    }
+    if (RUN_CONFIG.script) {
+      journey = loadJourneyScript(RUN_CONFIG.script);
+    }
+  } catch (err) {
+    console.error(colors.error(err.message));
+    process.exitCode = EXIT_CODES.failure;
+    return;
+  }
+
+  // Keep CI logs free of color codes
+  if (RUN_CONFIG.headless) {
+    chalk.level = 0;
+  }
   let browser = null;
+  let sessionManifest = null;
   networkEvents = new Map(); // Assign to global
   const consoleLogs = {}; // Changed to an object that will group logs by tab ID
   pages = new Map(); // Assign to global
   const startTime = new Date();
   uiState.sessionStart = startTime;
 
-  // Define sessionDir in the global scope to ensure it's accessible in all functions
-  const timestamp = new Date().toLocaleTimeString().replace(/[:.]/g, "-");
-
-  // Get base directory for outputs
-  const baseDir = getWritablePath(path.join(getAppDir(), "sessions"));
-  sessionDir = path.join(baseDir, `session_${timestamp}`);
-
-  // Create the directory if it doesn't exist
-  if (!fs.existsSync(sessionDir)) {
-    try {
-      fs.mkdirSync(sessionDir, { recursive: true });
-      console.log(colors.dim(`Created session directory: ${sessionDir}`));
-    } catch (err) {
-      console.error(
-        colors.error(`Failed to create session directory: ${err.message}`)
-      );
-      // Fall back to a different location
-      sessionDir = path.join(
-        getWritablePath(os.tmpdir()),
-        `chrome_logs_${timestamp}`
-      );
-      try {
-        fs.mkdirSync(sessionDir, { recursive: true });
-        console.log(colors.dim(`Created fallback directory: ${sessionDir}`));
-      } catch (innerErr) {
-        console.error(
-          colors.error(
-            `Failed to create fallback directory: ${innerErr.message}`
-          )
-        );
-        sessionDir = getAppDir(); // Last resort: use current directory
-      }
-    }
-  }
-
   // Track flush counts for reporting
   flushStats = {
     networkEventFlushes: 0,
@@ -1136,6 +5880,39 @@ function fetchChromeWebSocketUrl() {
     lastFlushTime: new Date(),
   };
 
+  // Tab and navigation events for the session timeline; requests and console
+  // entries are read back from disk and memory when the timeline is written
+  const timelineEvents = [];
+  const timelineRequestSources = new Map(); // Map<tabId, () => AsyncIterable>
+
+  // Final HAR file kept for each tab, relative to the session directory
+  const finalHarFiles = new Map(); // Map<tabId, string>
+
+  // Steps of a --urls/--script run, written to scripted_run.json once the
+  // final HAR files exist
+  const scriptedSteps = [];
+
+  // Requests left out by the request filters, for the session summary
+  let filteredRequestCount = 0;
+  const recordTimelineEvent = (type, tabId, details = {}) => {
+    timelineEvents.push({
+      time: new Date().toISOString(),
+      type,
+      tabId,
+      ...details,
+    });
+  };
+
+  // Flush writes still in progress, awaited before the final save so no chunk
+  // is missed
+  const pendingFlushWrites = new Set();
+  const trackFlushWrite = (writePromise) => {
+    pendingFlushWrites.add(writePromise);
+    const untrack = () => pendingFlushWrites.delete(writePromise);
+    writePromise.then(untrack, untrack);
+    return writePromise;
+  };
+
   // Initialize tab network events
   const initTabNetworkEvents = (tabId) => {
     if (!networkEvents.has(tabId)) {
@@ -1158,8 +5935,9 @@ function fetchChromeWebSocketUrl() {
 
       // Skip if not enough logs to flush (unless forced)
       if (
-        tabLogs.logs.length < MEMORY_CONFIG.maxLogsPerTabBeforeFlush &&
-        !forceSave
+        tabLogs.logs.length === 0 ||
+        (tabLogs.logs.length < MEMORY_CONFIG.maxLogsPerTabBeforeFlush &&
+          !forceSave)
       ) {
         return;
       }
@@ -1174,82 +5952,305 @@ function fetchChromeWebSocketUrl() {
         fs.mkdirSync(flushDir, { recursive: true });
       }
 
-      // Create a unique flush filename
-      const tabFlushCount = flushStats.totalConsoleLogsFlushed[tabId] || 0;
+      // Create a unique flush filename, reserving its slot before writing so
+      // concurrent flushes never reuse a sequence number
+      if (!tabLogs.flushFiles) {
+        tabLogs.flushFiles = [];
+      }
+      const flushSequence = tabLogs.flushFiles.push(null);
       const flushFilePath = path.join(
         flushDir,
-        `console_${safeTitle}_${tabId.substring(0, 6)}_flush_${
-          tabFlushCount + 1
-        }.json`
+        `console_${safeTitle}_${tabId.substring(
+          0,
+          6
+        )}_flush_${flushSequence}.json`
       );
 
+      // Take the logs out of memory before the asynchronous write so new
+      // messages aren't lost when the buffer is reset
+      const flushedLogs = tabLogs.logs;
+      tabLogs.logs = [];
+
       // Calculate entry types in a single pass
-      const entriesByType = {
-        log: 0,
-        info: 0,
-        warning: 0,
-        error: 0,
-        debug: 0,
-        other: 0,
-      };
-      tabLogs.logs.forEach((log) => {
-        const type = log.type;
-        if (entriesByType.hasOwnProperty(type)) {
-          entriesByType[type]++;
-        } else {
-          entriesByType.other++;
-        }
-      });
+      const entriesByType = countEntriesByType(flushedLogs);
 
       // Create structured log output
       const formattedLogs = {
-        timestamp: new Date().toLocaleTimeString(),
+        timestamp: new Date().toISOString(),
         pageId: tabId,
         pageTitle: tabLogs.pageTitle,
         pageUrl: tabLogs.pageUrl,
-        flushSequence: tabFlushCount + 1,
-        totalEntries: tabLogs.logs.length,
+        flushSequence,
+        totalEntries: flushedLogs.length,
         entriesByType,
-        entries: tabLogs.logs,
+        entries: flushedLogs,
       };
 
       // Write to disk
-      fs.writeFileSync(flushFilePath, JSON.stringify(formattedLogs, null, 2));
+      try {
+        await trackFlushWrite(
+          writeCompressedFile(flushFilePath, formattedLogs).then(
+            (writtenPath) => {
+              tabLogs.flushFiles[flushSequence - 1] = writtenPath;
+            }
+          )
+        );
+      } catch (writeErr) {
+        // Put the logs back in front of anything captured meanwhile
+        tabLogs.logs = flushedLogs.concat(tabLogs.logs);
+        throw writeErr;
+      }
+
+      // Keep the flushed counts so the final log can report totals without
+      // reading the flush files twice
+      tabLogs.flushedEntriesByType = countEntriesByType(
+        flushedLogs,
+        tabLogs.flushedEntriesByType
+      );
+      tabLogs.flushedEntryCount =
+        (tabLogs.flushedEntryCount || 0) + flushedLogs.length;
 
       // Update stats
       flushStats.totalConsoleLogsFlushed[tabId] =
-        (flushStats.totalConsoleLogsFlushed[tabId] || 0) + tabLogs.logs.length;
+        (flushStats.totalConsoleLogsFlushed[tabId] || 0) + flushedLogs.length;
       flushStats.consoleLogFlushes++;
       flushStats.lastFlushTime = new Date();
 
       // Clear current line and show flush message on its own line
-      process.stdout.clearLine();
-      process.stdout.cursorTo(0);
+      clearStatusLine();
       console.log(
-        `Memory management: Flushed ${tabLogs.logs.length} console logs for "${tabLogs.pageTitle}"`
+        `Memory management: Flushed ${flushedLogs.length} console logs for "${tabLogs.pageTitle}"`
+      );
+
+      // Restore status line
+      updateStatusLine(true);
+    } catch (e) {
+      clearStatusLine();
+      console.error(
+        `Failed to flush console logs for tab ${tabId}: ${e.message}`
+      );
+      updateStatusLine(true);
+    }
+  };
+
+  // Store a console message for a tab and journal it. The journal keeps every
+  // occurrence; repeats are collapsed again when it is recovered.
+  const recordConsoleLog = (tabId, logEntry) => {
+    const tabLogs = consoleLogs[tabId];
+    redactor.redactConsoleEntry(logEntry);
+    appendConsoleEntry(tabLogs, logEntry);
+    eventJournal?.append("console", tabId, {
+      pageTitle: tabLogs.pageTitle,
+      pageUrl: tabLogs.pageUrl,
+      entry: logEntry,
+    });
+  };
+
+  // Resolve the base URL used to name a tab's HAR files
+  const getTabBaseUrl = (tabId) =>
+    tabUrlStats.get(tabId)?.primaryBaseUrl ||
+    extractBaseUrl(pages.get(tabId)?.url || "");
+
+  // Function to flush network events for a specific tab
+  const flushNetworkEventsForTab = async (tabId, forceSave = false) => {
+    try {
+      if (!sessionDir || !networkEvents.has(tabId)) {
+        return; // Skip if directory not set or no events for tab
+      }
+
+      const tabEvents = networkEvents.get(tabId);
+
+      // Skip if not enough events to flush (unless forced)
+      if (
+        tabEvents.length < MEMORY_CONFIG.maxEventsBeforeFlush &&
+        !forceSave
+      ) {
+        return;
+      }
+
+      // Requests still in flight stay in memory, otherwise their response
+      // would be written to an already flushed entry
+      const pendingEntries = new Set(
+        Array.from(
+          pendingRequests.get(tabId)?.values() || [],
+          (pending) => pending.entry
+        )
+      );
+      const entriesToFlush = tabEvents
+        .getItems()
+        .filter((entry) => !pendingEntries.has(entry));
+
+      if (entriesToFlush.length === 0) {
+        return;
+      }
+
+      // Create flush directory if needed
+      const flushDir = path.join(sessionDir, "network_flushes");
+      if (!fs.existsSync(flushDir)) {
+        fs.mkdirSync(flushDir, { recursive: true });
+      }
+
+      // Create a unique flush filename, reserving its slot before writing so
+      // concurrent flushes never reuse a sequence number
+      if (!networkFlushFiles.has(tabId)) {
+        networkFlushFiles.set(tabId, []);
+      }
+      const tabFlushFiles = networkFlushFiles.get(tabId);
+      const flushSequence = tabFlushFiles.push(null);
+      const flushFilePath = path.join(
+        flushDir,
+        `${getCleanFilenameFromUrl(
+          getTabBaseUrl(tabId),
+          tabId
+        )}_flush_${flushSequence}.har`
       );
 
-      // Clear memory but keep tab metadata
-      consoleLogs[tabId].logs = [];
+      // Take the entries out of memory before the asynchronous write, keeping
+      // the ones still waiting for a response
+      tabEvents.clear();
+      pendingEntries.forEach((entry) => tabEvents.push(entry));
 
-      // Store reference to the flush file
-      if (!consoleLogs[tabId].flushFiles) {
-        consoleLogs[tabId].flushFiles = [];
+      // Write the chunk as a standalone HAR so it can be opened on its own
+      const pageInfo = pages.get(tabId);
+      const harData = createHarFile(entriesToFlush, pageInfo ? [pageInfo] : []);
+      try {
+        await trackFlushWrite(
+          writeCompressedFile(flushFilePath, harData).then((writtenPath) => {
+            tabFlushFiles[flushSequence - 1] = writtenPath;
+          })
+        );
+      } catch (writeErr) {
+        // Put the entries back in front of anything captured meanwhile
+        const capturedMeanwhile = tabEvents.getItems();
+        tabEvents.clear();
+        [...entriesToFlush, ...capturedMeanwhile].forEach((entry) =>
+          tabEvents.push(entry)
+        );
+        throw writeErr;
       }
-      consoleLogs[tabId].flushFiles.push(flushFilePath);
+
+      // Update stats
+      flushStats.perTabNetworkEventsFlushed[tabId] =
+        (flushStats.perTabNetworkEventsFlushed[tabId] || 0) +
+        entriesToFlush.length;
+      flushStats.totalNetworkEventsFlushed += entriesToFlush.length;
+      flushStats.networkEventFlushes++;
+      flushStats.lastFlushTime = new Date();
+
+      // Clear current line and show flush message on its own line
+      clearStatusLine();
+      console.log(
+        `Memory management: Flushed ${entriesToFlush.length} network events for "${
+          pageInfo?.title || tabId
+        }"`
+      );
 
       // Restore status line
       updateStatusLine(true);
     } catch (e) {
-      process.stdout.clearLine();
-      process.stdout.cursorTo(0);
+      clearStatusLine();
       console.error(
-        `Failed to flush console logs for tab ${tabId}: ${e.message}`
+        `Failed to flush network events for tab ${tabId}: ${e.message}`
       );
       updateStatusLine(true);
     }
   };
 
+  // Merge each tab's flushed HAR chunks and in-memory events into one HAR per
+  // tab. Resolves with whether every captured request made it to a HAR file.
+  const saveFinalHarFiles = async () => {
+    const tabIds = new Set([
+      ...networkEvents.keys(),
+      ...networkFlushFiles.keys(),
+    ]);
+    if (tabIds.size === 0) {
+      return true;
+    }
+
+    const finalHarDir = path.join(sessionDir, "final_har_files");
+    await fs.promises.mkdir(finalHarDir, { recursive: true });
+
+    let savedFiles = 0;
+    let complete = true;
+    for (const tabId of tabIds) {
+      try {
+        const flushFiles = (networkFlushFiles.get(tabId) || []).filter(Boolean);
+        const inMemory = networkEvents.has(tabId)
+          ? networkEvents.get(tabId).getItems()
+          : [];
+        if (flushFiles.length === 0 && inMemory.length === 0) {
+          continue;
+        }
+
+        // Read back the chunks one at a time in the order they were flushed,
+        // followed by whatever is still in memory
+        async function* readChunks() {
+          for (const flushFilePath of flushFiles) {
+            try {
+              const chunk = await readJsonFile(flushFilePath);
+              yield chunk.log?.entries || [];
+            } catch (e) {
+              complete = false;
+              console.warn(
+                `Could not read network flush file ${flushFilePath}: ${e.message}`
+              );
+            }
+          }
+          yield inMemory;
+        }
+
+        const pageInfo = pages.get(tabId);
+        const harFilePath = path.join(
+          finalHarDir,
+          `${getCleanFilenameFromUrl(getTabBaseUrl(tabId), tabId)}.har`
+        );
+
+        // Apply the filters again now that every status is known
+        async function* keepEntries(countFiltered) {
+          for await (const entry of orderHarEntries(readChunks())) {
+            if (requestFilter.matchesEntry(entry)) {
+              yield entry;
+            } else if (countFiltered) {
+              filteredRequestCount++;
+            }
+          }
+        }
+
+        const entryCount = await writeHarFile(
+          harFilePath,
+          pageInfo ? [pageInfo] : [],
+          keepEntries(true)
+        );
+        if (entryCount === 0) {
+          await fs.promises.unlink(getOutputPath(harFilePath));
+          continue;
+        }
+        savedFiles++;
+
+        // The timeline and the report read the kept entries back the same
+        // way instead of holding every request in memory
+        const harFile = path
+          .relative(sessionDir, getOutputPath(harFilePath))
+          .split(path.sep)
+          .join("/");
+        finalHarFiles.set(tabId, harFile);
+        timelineRequestSources.set(tabId, async function* () {
+          for await (const entry of keepEntries(false)) {
+            yield summarizeTimelineRequest(tabId, entry, harFile);
+          }
+        });
+      } catch (e) {
+        complete = false;
+        console.error(
+          `Failed to save final HAR file for tab ${tabId}: ${e.message}`
+        );
+      }
+    }
+
+    console.log(`Saved ${savedFiles} HAR file(s) to ${finalHarDir}`);
+    return complete;
+  };
+
   // Memory check function - runs periodically to flush data if needed
   const performMemoryCheck = async (force = false) => {
     try {
@@ -1275,15 +6276,13 @@ function fetchChromeWebSocketUrl() {
       }
 
       if (force) {
-        process.stdout.clearLine();
-        process.stdout.cursorTo(0);
+        clearStatusLine();
         console.log("Memory management: Forced flush completed");
       }
 
       // Calculate and log memory usage
       const memoryUsage = process.memoryUsage();
-      process.stdout.clearLine();
-      process.stdout.cursorTo(0);
+      clearStatusLine();
       console.log(
         `Memory usage: RSS ${Math.round(
           memoryUsage.rss / 1024 / 1024
@@ -1295,8 +6294,7 @@ function fetchChromeWebSocketUrl() {
       // Restore status line
       updateStatusLine(true);
     } catch (e) {
-      process.stdout.clearLine();
-      process.stdout.cursorTo(0);
+      clearStatusLine();
       console.error(`Memory check error: ${e.message}`);
       updateStatusLine(true);
     }
@@ -1310,7 +6308,7 @@ function fetchChromeWebSocketUrl() {
       let pageTitle = "";
 
       try {
-        pageUrl = await page.url();
+        pageUrl = redactor.redactUrl(await page.url());
         pageTitle = await page.title();
 
         // Initialize URL tracking for this tab
@@ -1344,13 +6342,17 @@ function fetchChromeWebSocketUrl() {
         startedDateTime: new Date().toISOString(),
         url: pageUrl,
       });
+      eventJournal?.append("page", pageId, { page: pages.get(pageId) });
 
-      // Enable network request and response tracking
+      // Capture network traffic through a dedicated CDP session so we get
+      // the browser's own request ids and timing data
+      let cdpSession = null;
       try {
-        await page.setRequestInterception(true);
+        cdpSession = await page.target().createCDPSession();
+        await cdpSession.send("Network.enable");
       } catch (e) {
         console.warn(
-          `Could not set request interception for ${pageUrl}: ${e.message}`
+          `Could not enable network capture for ${pageUrl}: ${e.message}`
         );
       }
 
@@ -1358,7 +6360,7 @@ function fetchChromeWebSocketUrl() {
       page.on("framenavigated", async (frame) => {
         try {
           if (frame.isMainFrame()) {
-            const url = frame.url();
+            const url = redactor.redactUrl(frame.url());
             if (url && url !== "about:blank") {
               const title = await page.title();
               trackTabBaseUrl(pageId, url);
@@ -1368,7 +6370,9 @@ function fetchChromeWebSocketUrl() {
                 const pageInfo = pages.get(pageId);
                 pageInfo.url = url;
                 pageInfo.title = title;
+                eventJournal?.append("page", pageId, { page: pageInfo });
               }
+              recordTimelineEvent("navigation", pageId, { url, title });
             }
           }
         } catch {
@@ -1376,230 +6380,280 @@ function fetchChromeWebSocketUrl() {
         }
       });
 
-      // Track requests
-      page.on("request", (request) => {
-        try {
-          // Get pageId safely with fallbacks for detached frames/pages
-          let pageId;
+      if (cdpSession) {
+        const extraInfoBuffer = new Map(); // Map<requestId, { request, response }>
+
+        // Track requests
+        cdpSession.on("Network.requestWillBeSent", (params) => {
           try {
-            const frame = request.frame();
-            if (frame && frame.page()) {
-              pageId = frame.page().target()._targetId;
-
-              // Track URL for this tab
-              const url = frame.url();
-              if (frame.isMainFrame() && url && url !== "about:blank") {
-                trackTabBaseUrl(pageId, url);
-              }
-            } else {
-              // Fallback to the current page's ID if frame/page is not available
-              pageId = page.target()._targetId;
+            const request = params.request;
+
+            // A redirect reuses the request id: close the previous hop as its
+            // own entry and link it to the next one through redirectURL
+            let redirectCount = 0;
+            const previous = pendingRequests.get(pageId)?.get(params.requestId);
+            if (params.redirectResponse && previous) {
+              applyCdpResponse(
+                previous,
+                params.redirectResponse,
+                params.timestamp
+              );
+              previous.entry.response.redirectURL = request.url;
+              previous.entry._requestId = `${params.requestId}:redirected.${previous.redirectCount}`;
+              completePendingRequest(
+                pageId,
+                params.requestId,
+                params.timestamp
+              );
+              redirectCount = previous.redirectCount + 1;
             }
-          } catch {
-            // If any error occurs when getting the page, use current page's ID
-            pageId = page.target()._targetId;
-          }
 
-          uniqueRequestId++; // Using the global variable
-
-          const startedDateTime = new Date().toISOString();
-
-          // Extract headers as an array of name-value pairs - reuse object with Map for better performance
-          const headerMap = new Map(Object.entries(request.headers() || {}));
-          const headerArray = Array.from(headerMap).map(([name, value]) => ({
-            name,
-            value: String(value),
-          }));
-
-          // Make sure we have a list for this tab
-          const tabEvents = initTabNetworkEvents(pageId);
-
-          // Use lightweight object with only necessary fields
-          tabEvents.push({
-            _requestId: String(uniqueRequestId),
-            _priority: "VeryHigh", // Match Chrome's priority naming
-            _resourceType: request.resourceType(),
-            _connectionId: Math.floor(Math.random() * 9000 + 1000).toString(), // Generate a Chrome-like ID
-            _initiator: {
-              type: "script",
-              stack: {
-                callFrames: [],
-                parentId: {},
+            // Track URL for this tab
+            if (params.type === "Document" && request.url !== "about:blank") {
+              trackTabBaseUrl(pageId, request.url);
+            }
+
+            // Drop filtered out requests before they take up any memory
+            if (
+              !requestFilter.matches({
+                url: request.url,
+                resourceType: params.type,
+                method: request.method,
+              })
+            ) {
+              filteredRequestCount++;
+              return;
+            }
+
+            // Make sure we have a list for this tab
+            const tabEvents = initTabNetworkEvents(pageId);
+
+            // Use lightweight object with only necessary fields
+            const entry = {
+              _requestId: params.requestId,
+              _priority: request.initialPriority || "VeryHigh",
+              _resourceType: (params.type || "other").toLowerCase(),
+              _connectionId: "",
+              _initiator: params.initiator || {
+                type: "other",
               },
-            },
-            pageref: pageId,
-            startedDateTime: startedDateTime,
-            time: 0,
-            request: {
-              method: request.method(),
-              url: request.url(),
-              httpVersion: "http/2.0", // Chrome uses http/2.0 instead of HTTP/1.1
-              headers: headerArray,
-              queryString: extractQueryString(request.url()),
-              cookies: [],
-              headersSize: -1,
-              bodySize: 0,
-            },
-            response: {
-              status: 0,
-              statusText: "",
-              httpVersion: "HTTP/1.1",
-              headers: [],
-              cookies: [],
-              content: {
-                size: 0,
-                mimeType: "",
+              pageref: pageId,
+              startedDateTime: new Date(params.wallTime * 1000).toISOString(),
+              time: 0,
+              request: {
+                method: request.method,
+                url: request.url + (request.urlFragment || ""),
+                httpVersion: "",
+                headers: formatHeaders(request.headers),
+                queryString: extractQueryString(request.url),
+                cookies: parseCookieHeader(
+                  getHeaderValue(request.headers, "cookie")
+                ),
+                headersSize: -1,
+                bodySize: 0,
               },
-              redirectURL: "",
-              headersSize: -1,
-              bodySize: -1,
-              _transferSize: 0,
-              _error: null,
-            },
-            cache: {},
-            timings: {
-              blocked: 0.0,
-              dns: -1,
-              ssl: -1,
-              connect: -1,
-              send: 0.0,
-              wait: 0.0,
-              receive: 0.0,
-              _blocked_queueing: 0.0,
-            },
-            serverIPAddress: "",
-            connection: "443",
-            _timestamp: Date.now(),
-          });
+              response: {
+                status: 0,
+                statusText: "",
+                httpVersion: "",
+                headers: [],
+                cookies: [],
+                content: {
+                  size: 0,
+                  mimeType: "",
+                },
+                redirectURL: "",
+                headersSize: -1,
+                bodySize: -1,
+                _transferSize: 0,
+                _error: null,
+              },
+              cache: {},
+              timings: {
+                blocked: -1,
+                dns: -1,
+                ssl: -1,
+                connect: -1,
+                send: 0,
+                wait: 0,
+                receive: 0,
+                _blocked_queueing: -1,
+              },
+              serverIPAddress: "",
+              connection: "",
+              _timestamp: Date.now(),
+            };
+            tabEvents.push(entry);
 
-          // Store reference in URL map
-          if (!requestUrlMaps.has(pageId)) {
-            requestUrlMaps.set(pageId, new Map());
-          }
-          const urlMap = requestUrlMaps.get(pageId);
-          urlMap.set(request.url(), tabEvents[tabEvents.length - 1]);
+            // Keep the raw CDP timing data next to the entry until it completes
+            if (!pendingRequests.has(pageId)) {
+              pendingRequests.set(pageId, new Map());
+            }
+            pendingRequests.get(pageId).set(params.requestId, {
+              entry,
+              issueTime: params.timestamp,
+              wallTime: params.wallTime,
+              timing: null,
+              responseReceivedTime: -1,
+              resourceSize: 0,
+              fromCache: false,
+              redirectCount,
+              postDataPromise: captureRequestPostData(
+                cdpSession,
+                entry,
+                params
+              ),
+            });
+
+            // Apply extra info that arrived before the request itself
+            const earlyExtraInfo = extraInfoBuffer.get(params.requestId);
+            if (earlyExtraInfo) {
+              const pending = pendingRequests.get(pageId).get(params.requestId);
+              if (earlyExtraInfo.request) {
+                applyRequestExtraInfo(pending, earlyExtraInfo.request);
+              }
+              pending.responseExtraInfo = earlyExtraInfo.response || null;
+              extraInfoBuffer.delete(params.requestId);
+            }
+            journalPendingRequest(pageId, params.requestId, "request");
 
-          progressStats.networkEvents++;
+            progressStats.networkEvents++;
 
-          // Use batched updates to reduce update frequency
-          if (progressStats.networkEvents % MEMORY_CONFIG.batchSize === 0) {
-            updateStatusLine(true);
+            // Use batched updates to reduce update frequency
+            if (progressStats.networkEvents % MEMORY_CONFIG.batchSize === 0) {
+              updateStatusLine(true);
 
-            // Check if we need to flush network events for this tab - only check every batchSize events
-            if (tabEvents.length >= MEMORY_CONFIG.maxEventsBeforeFlush) {
-              flushNetworkEventsForTab(pageId);
+              // Check if we need to flush network events for this tab - only check every batchSize events
+              if (tabEvents.length >= MEMORY_CONFIG.maxEventsBeforeFlush) {
+                flushNetworkEventsForTab(pageId);
+              }
+            } else {
+              // Less frequently update for better performance
+              updateStatusLine();
             }
-          } else {
-            // Less frequently update for better performance
-            updateStatusLine();
+          } catch {
+            // Errors handled silently - don't interrupt status line
           }
-        } catch {
-          // Errors handled silently - don't interrupt status line
-        }
+        });
 
-        // Always continue the request even if we had errors processing it
-        try {
-          request.continue();
-        } catch {
-          // Request might have already been handled
-        }
-      });
+        // Extra info events can arrive before or after the event they
+        // belong to, so hold on to them until the request is known
+        const bufferExtraInfo = (requestId, kind, extraInfo) => {
+          if (!extraInfoBuffer.has(requestId)) {
+            // Drop the oldest entry for requests we never saw
+            if (extraInfoBuffer.size >= 1000) {
+              extraInfoBuffer.delete(extraInfoBuffer.keys().next().value);
+            }
+            extraInfoBuffer.set(requestId, {});
+          }
+          extraInfoBuffer.get(requestId)[kind] = extraInfo;
+        };
 
-      // Track responses
-      page.on("response", async (response) => {
-        try {
-          const request = response.request();
-          const url = request.url();
+        cdpSession.on("Network.requestWillBeSentExtraInfo", (params) => {
+          try {
+            const pending = pendingRequests.get(pageId)?.get(params.requestId);
+            if (pending) {
+              applyRequestExtraInfo(pending, params);
+            } else {
+              bufferExtraInfo(params.requestId, "request", params);
+            }
+          } catch {
+            // Errors handled silently - don't interrupt status line
+          }
+        });
 
-          // Get pageId safely
-          let pageId;
+        cdpSession.on("Network.responseReceivedExtraInfo", (params) => {
           try {
-            const frame = request.frame();
-            if (frame && frame.page()) {
-              pageId = frame.page().target()._targetId;
+            const pending = pendingRequests.get(pageId)?.get(params.requestId);
+            if (!pending) {
+              bufferExtraInfo(params.requestId, "response", params);
+            } else if (pending.responseReceivedTime === -1) {
+              pending.responseExtraInfo = params;
             } else {
-              pageId = page.target()._targetId;
+              applyResponseExtraInfo(pending, params);
             }
           } catch {
-            pageId = page.target()._targetId;
+            // Errors handled silently - don't interrupt status line
           }
+        });
 
-          // Make sure we have a list for this tab
-          const tabEvents = networkEvents.get(pageId);
-          if (!tabEvents) return; // Skip if no events for this tab
-
-          // O(1) lookup instead of O(n) search
-          const urlMap = requestUrlMaps.get(pageId);
-          const entry = urlMap ? urlMap.get(url) : null;
-
-          if (entry) {
-            // Calculate time (must be a floating-point number to match Chrome format)
-            const duration = Date.now() - entry._timestamp;
-
-            // Convert to floating-point for HAR format compatibility
-            entry.time = parseFloat(duration.toFixed(5));
-
-            // Set timings (must be floating-point numbers)
-            // These are estimates since we don't have precise metrics
-            const waitTime = parseFloat((duration * 0.8).toFixed(5));
-            const receiveTime = parseFloat((duration * 0.2).toFixed(5));
-
-            entry.timings.wait = waitTime;
-            entry.timings.receive = receiveTime;
-
-            // Add response data
-            const status = response.status();
-
-            // Get headers more efficiently
-            const respHeaders = response.headers() || {};
-            const contentType = respHeaders["content-type"] || "";
-
-            // Create response object more efficiently
-            entry.response = {
-              status: status,
-              statusText: response.statusText() || "",
-              httpVersion: "HTTP/1.1",
-              headers: Object.entries(respHeaders).map(([name, value]) => ({
-                name,
-                value: String(value),
-              })),
-              cookies: [],
-              content: {
-                size: -1,
-                mimeType: contentType,
-              },
-              redirectURL: "",
-              headersSize: -1,
-              bodySize: -1,
-              _transferSize: 0,
-              _error: null,
-            };
+        // Track responses
+        cdpSession.on("Network.responseReceived", (params) => {
+          try {
+            const pending = pendingRequests.get(pageId)?.get(params.requestId);
+            if (!pending) return;
 
-            // Try to get the IP address (might not always be available)
-            try {
-              const remoteAddress = response.remoteAddress();
-              if (remoteAddress && remoteAddress.ip) {
-                entry.serverIPAddress = remoteAddress.ip;
-              }
-            } catch {
-              // IP might not be available
-            }
+            applyCdpResponse(pending, params.response, params.timestamp);
+            journalPendingRequest(pageId, params.requestId, "response");
+          } catch {
+            // Errors handled silently - don't interrupt status line
+          }
+        });
 
-            // Clean up map to prevent memory leaks
-            urlMap.delete(url);
+        // Finalize timings once the body has been received
+        cdpSession.on("Network.dataReceived", (params) => {
+          const pending = pendingRequests.get(pageId)?.get(params.requestId);
+          if (pending) {
+            pending.resourceSize += params.dataLength;
           }
-        } catch {
-          // Errors handled silently - don't interrupt status line
-        }
-      });
+        });
+
+        // Finalize sizes, body and timings once loading has finished
+        cdpSession.on("Network.loadingFinished", async (params) => {
+          try {
+            const pending = pendingRequests.get(pageId)?.get(params.requestId);
+            if (!pending) return;
 
-      // Enhanced console message tracking
-      page.on("console", async (message) => {
+            setHarResponseSizes(pending, params.encodedDataLength);
+
+            // Fetch the bodies before completing so a flush can't write the entry without them
+            await captureResponseBody(cdpSession, pending, params.requestId);
+            await pending.postDataPromise;
+
+            completePendingRequest(pageId, params.requestId, params.timestamp);
+          } catch {
+            // Errors handled silently - don't interrupt status line
+          }
+        });
+
+        // Record why a request failed instead of leaving it at status 0
+        cdpSession.on("Network.loadingFailed", (params) => {
+          try {
+            completePendingRequest(
+              pageId,
+              params.requestId,
+              params.timestamp,
+              params.canceled
+                ? "net::ERR_ABORTED"
+                : params.blockedReason
+                ? `${params.errorText} (blocked: ${params.blockedReason})`
+                : params.errorText
+            );
+          } catch {
+            // Errors handled silently - don't interrupt status line
+          }
+        });
+      }
+
+      // Enhanced console message tracking. Messages come from either the CDP
+      // session or Puppeteer's console event and are normalized before this
+      const handleConsoleMessage = async ({
+        type,
+        text,
+        argHandles = [],
+        stackTrace = [],
+        cdpTimestamp,
+      }) => {
         try {
-          // Get basic information
-          const type = message.type();
-          const text = message.text();
-          const timestamp = new Date().toLocaleTimeString();
+          // Chrome reports when the message was logged; fall back to now
+          const timestamp = new Date(cdpTimestamp ?? Date.now()).toISOString();
+
+          if (!consoleFilter({ type, text, url: stackTrace[0]?.url })) {
+            for (const handle of argHandles) {
+              releaseConsoleArg(handle, cdpSession);
+            }
+            return;
+          }
 
           // Make sure we have safe values for logging
           const safePageTitle = pageTitle || "Unknown Tab";
@@ -1620,9 +6674,8 @@ function fetchChromeWebSocketUrl() {
           // Extract all arguments when possible
           let args = [];
           try {
-            const argHandles = message.args();
             const argPromises = Array.from(argHandles).map((handle) =>
-              safeEvaluate(handle)
+              safeEvaluate(handle, cdpSession)
             );
             args = await Promise.all(argPromises);
           } catch {
@@ -1630,22 +6683,11 @@ function fetchChromeWebSocketUrl() {
             args = [text];
           }
 
-          // Get stack trace if available
-          let stackTrace = [];
-          if (message.stackTrace && message.stackTrace()) {
-            stackTrace = message.stackTrace().map((frame) => ({
-              url: frame.url || "",
-              lineNumber: frame.lineNumber,
-              columnNumber: frame.columnNumber,
-              functionName: frame.functionName || "(anonymous)",
-            }));
-          }
-
           // Get the current page info in case it has changed
           let currentPageUrl = pageUrl;
           let currentPageTitle = pageTitle;
           try {
-            currentPageUrl = await page.url();
+            currentPageUrl = redactor.redactUrl(await page.url());
             currentPageTitle = await page.title();
 
             // Update stored info if it changed
@@ -1673,12 +6715,18 @@ function fetchChromeWebSocketUrl() {
             consoleLogs[safePageId].lastActivity = new Date();
           }
 
-          consoleLogs[safePageId].logs.push({
+          recordConsoleLog(safePageId, {
             timestamp,
+            cdpTimestamp,
             type,
             text,
             args,
-            stackTrace,
+            stackTrace: stackTrace.map((frame) => ({
+              url: frame.url || "",
+              lineNumber: frame.lineNumber,
+              columnNumber: frame.columnNumber,
+              functionName: frame.functionName || "(anonymous)",
+            })),
           });
 
           // Check if we need to flush console logs for this tab
@@ -1699,8 +6747,8 @@ function fetchChromeWebSocketUrl() {
             };
           }
 
-          consoleLogs[pageId].logs.push({
-            timestamp: new Date().toLocaleTimeString(),
+          recordConsoleLog(pageId, {
+            timestamp: new Date().toISOString(),
             type: "error",
             text: `[Failed to capture console message: ${err.message}]`,
             error: String(err),
@@ -1710,10 +6758,59 @@ function fetchChromeWebSocketUrl() {
           progressStats.errorLogs++;
           updateStatusLine();
         }
-      });
+      };
+
+      if (cdpSession) {
+        // Listen on the CDP session so every message keeps Chrome's own
+        // timestamp; Log.entryAdded covers browser-generated messages
+        cdpSession.on("Runtime.consoleAPICalled", (params) => {
+          handleConsoleMessage({
+            type: params.type,
+            text: params.args.map(formatRemoteObject).join(" "),
+            argHandles: params.args,
+            stackTrace: params.stackTrace?.callFrames,
+            cdpTimestamp: params.timestamp,
+          });
+        });
+        cdpSession.on("Log.entryAdded", ({ entry }) => {
+          handleConsoleMessage({
+            type: entry.level,
+            text: entry.text,
+            stackTrace:
+              entry.stackTrace?.callFrames ||
+              (entry.url
+                ? [{ url: entry.url, lineNumber: entry.lineNumber }]
+                : []),
+            cdpTimestamp: entry.timestamp,
+          });
+        });
+
+        try {
+          await cdpSession.send("Runtime.enable");
+          await cdpSession.send("Log.enable");
+        } catch (err) {
+          console.log(
+            colors.warning(
+              `Could not enable console capture for ${pageUrl}: ${err.message}`
+            )
+          );
+        }
+      } else {
+        page.on("console", (message) => {
+          handleConsoleMessage({
+            type: message.type(),
+            text: message.text(),
+            argHandles: message.args(),
+            stackTrace: message.stackTrace?.() || [],
+          });
+        });
+      }
 
       // Add specific listeners for console errors
       page.on("pageerror", (error) => {
+        if (!consoleFilter({ type: "pageerror", text: String(error) })) {
+          return;
+        }
         if (!consoleLogs[pageId]) {
           consoleLogs[pageId] = {
             pageTitle: pageTitle || "Unknown",
@@ -1725,8 +6822,8 @@ function fetchChromeWebSocketUrl() {
           consoleLogs[pageId].lastActivity = new Date();
         }
 
-        consoleLogs[pageId].logs.push({
-          timestamp: new Date().toLocaleTimeString(),
+        recordConsoleLog(pageId, {
+          timestamp: new Date().toISOString(),
           type: "pageerror",
           text: String(error),
           error: {
@@ -1742,6 +6839,9 @@ function fetchChromeWebSocketUrl() {
 
       // Add listener for console warnings
       page.on("warning", (warning) => {
+        if (!consoleFilter({ type: "warning", text: String(warning) })) {
+          return;
+        }
         if (!consoleLogs[pageId]) {
           consoleLogs[pageId] = {
             pageTitle: pageTitle || "Unknown",
@@ -1753,8 +6853,8 @@ function fetchChromeWebSocketUrl() {
           consoleLogs[pageId].lastActivity = new Date();
         }
 
-        consoleLogs[pageId].logs.push({
-          timestamp: new Date().toLocaleTimeString(),
+        recordConsoleLog(pageId, {
+          timestamp: new Date().toISOString(),
           type: "warning",
           text: String(warning),
           warning: warning,
@@ -1772,8 +6872,75 @@ function fetchChromeWebSocketUrl() {
     }
   };
 
+  // Monitor each page only once, even when a tab is picked up both by the
+  // scripted runner and by the targetcreated listener
+  const monitoringSetups = new Map(); // Map<targetId, Promise<boolean>>
+  const monitorPage = (page) => {
+    const targetId = page.target()._targetId;
+    if (!monitoringSetups.has(targetId)) {
+      monitoringSetups.set(targetId, setupPageMonitoring(page));
+    }
+    return monitoringSetups.get(targetId);
+  };
+
+  // Open each --urls entry in a fresh tab, then run the --script journey,
+  // recording which tab (and so which HAR/console files) belongs to each step
+  const runScriptedNavigation = async (urls, journey) => {
+    const runStep = async (step, action) => {
+      const page = await browser.newPage();
+      const tabId = page.target()._targetId;
+      const result = {
+        ...step,
+        tabId,
+        startedAt: new Date().toISOString(),
+        status: "ok",
+      };
+
+      try {
+        // Capture must be running before the first request goes out
+        await monitorPage(page);
+        await action(page);
+      } catch (err) {
+        result.status = "failed";
+        result.error = err.message;
+        console.error(colors.error(`Scripted step failed: ${err.message}`));
+      }
+
+      result.finishedAt = new Date().toISOString();
+      scriptedSteps.push(result);
+      emitHeadlessEvent("step", result);
+
+      try {
+        await page.close();
+      } catch {
+        // Page may already be gone
+      }
+    };
+
+    for (const url of urls) {
+      console.log(colors.info(`Recording ${url}`));
+      await runStep({ kind: "url", url }, (page) =>
+        page.goto(url, {
+          waitUntil: "networkidle0",
+          timeout: SCRIPTED_NAVIGATION_TIMEOUT_MS,
+        })
+      );
+    }
+
+    if (journey) {
+      console.log(colors.info(`Running script ${RUN_CONFIG.script}`));
+      await runStep({ kind: "script", script: RUN_CONFIG.script }, (page) =>
+        journey(page, { browser, sessionDir })
+      );
+    }
+
+    return scriptedSteps.every((step) => step.status === "ok");
+  };
+
   try {
-    console.clear(); // Start with a clean screen
+    if (!RUN_CONFIG.headless) {
+      console.clear(); // Start with a clean screen
+    }
     console.log(colors.highlight("=== Chrome Logger ==="));
     console.log(
       colors.info(
@@ -1783,7 +6950,9 @@ function fetchChromeWebSocketUrl() {
     console.log(colors.info("Checking Chrome connection..."));
 
     // Initialize keyboard handling
-    setupKeyboardHandling();
+    if (!RUN_CONFIG.headless) {
+      setupKeyboardHandling();
+    }
 
     // First check if Chrome is actually reachable
     let chromeStatus = await isChromeReachable();
@@ -1795,10 +6964,14 @@ function fetchChromeWebSocketUrl() {
           "Chrome not running with debug port. Attempting to find and launch Chrome..."
         )
       );
-      const chromePath = findChromeExecutable();
+      const chromePath = isLocalHost(RUN_CONFIG.host)
+        ? RUN_CONFIG.chromePath || findChromeExecutable()
+        : null;
 
       if (chromePath) {
-        const launchResult = await launchChrome(chromePath);
+        const launchResult = await launchChrome(chromePath, {
+          headless: RUN_CONFIG.headless,
+        });
         if (launchResult) {
           // Check again after launch
           chromeStatus = await isChromeReachable();
@@ -1808,7 +6981,9 @@ function fetchChromeWebSocketUrl() {
       // If Chrome is still not reachable, show error and exit
       if (!chromeStatus.success) {
         console.error(
-          colors.error("❌ Cannot connect to Chrome on port 9222!")
+          colors.error(
+            `❌ Cannot connect to Chrome at ${RUN_CONFIG.host}:${RUN_CONFIG.port}!`
+          )
         );
         console.log(
           colors.info(
@@ -1824,10 +6999,17 @@ function fetchChromeWebSocketUrl() {
             " Start Chrome manually with this command:"
         );
         console.log(
-          "  " + colors.dim("chrome.exe --remote-debugging-port=9222")
+          "  " +
+            colors.dim(`chrome.exe --remote-debugging-port=${RUN_CONFIG.port}`)
         );
-        console.log(colors.info("\nPress any key to exit..."));
-        await waitForKeypress();
+        process.exitCode = EXIT_CODES.failure;
+        emitHeadlessEvent("failed", {
+          reason: `Cannot connect to Chrome at ${RUN_CONFIG.host}:${RUN_CONFIG.port}`,
+        });
+        if (!RUN_CONFIG.headless) {
+          console.log(colors.info("\nPress any key to exit..."));
+          await waitForKeypress();
+        }
         return;
       }
     }
@@ -1836,71 +7018,83 @@ function fetchChromeWebSocketUrl() {
       colors.success("✅ Chrome debug connection confirmed. Connecting...")
     );
 
-    // Create timestamp for the session folder and files
-    const timestamp = new Date().toLocaleTimeString().replace(/[:.]/g, "-");
-
-    // Create a new directory for this session
-    sessionDir = path.join(getAppDir(), `session_${timestamp}`);
+    // Apply the retention limits before adding a new session
+    if (RETENTION_CONFIG.maxSessionAge || RETENTION_CONFIG.maxSessionsSize) {
+      try {
+        const pruned = await pruneSessions(getSessionsBaseDir());
+        if (pruned.length > 0) {
+          console.log(
+            colors.dim(
+              `Retention: removed ${
+                pruned.length
+              } old session(s), freed ${formatBytes(
+                pruned.reduce((total, session) => total + session.sizeBytes, 0)
+              )}`
+            )
+          );
+        }
+      } catch (err) {
+        console.warn(
+          colors.warning(`Could not apply session retention: ${err.message}`)
+        );
+      }
+    }
 
-    // Create the directory if it doesn't exist
-    if (!fs.existsSync(sessionDir)) {
+    // Create this session's folder and manifest. Writing the manifest doubles
+    // as the write test; on failure fall back to the temp directory.
+    const chromeVersion = chromeStatus.version || {};
+    for (const baseDir of [
+      getSessionsBaseDir(),
+      path.join(os.tmpdir(), "chromelogs", "sessions"),
+    ]) {
       try {
-        fs.mkdirSync(sessionDir);
+        const session = createSessionDirectory(baseDir, startTime);
+        sessionManifest = {
+          id: session.id,
+          startedAt: startTime.toISOString(),
+          endedAt: null,
+          status: "recording",
+          pid: process.pid,
+          chrome: {
+            browser: chromeVersion.Browser || null,
+            protocolVersion: chromeVersion["Protocol-Version"] || null,
+            userAgent: chromeVersion["User-Agent"] || null,
+            v8Version: chromeVersion["V8-Version"] || null,
+          },
+          tool: readToolInfo(),
+          encrypted: encryption.isActive,
+          configuration: resolvedConfig,
+        };
+        saveSessionManifest(session.dir, sessionManifest);
+        sessionDir = session.dir;
         console.log(colors.dim(`Created session directory: ${sessionDir}`));
+        break;
       } catch (err) {
+        sessionManifest = null;
         console.error(
-          colors.error(`Failed to create session directory: ${err.message}`)
+          colors.error(
+            `Failed to create session directory in ${baseDir}: ${err.message}`
+          )
         );
-        // Rather than falling back to __dirname, we can create a special error directory
-        const errorDir = path.join(getAppDir(), `error_session_${timestamp}`);
-        try {
-          fs.mkdirSync(errorDir);
-          console.log(colors.dim(`Created error directory: ${errorDir}`));
-        } catch {
-          console.error(
-            colors.error(
-              "Failed to create error directory, using current directory"
-            )
-          );
-        }
       }
     }
-
-    // Set file paths in the session directory
-    const finalHarFilePath = path.join(sessionDir, `network_final.har`);
-    const consoleLogsFilePath = path.join(sessionDir, `console_final.json`);
-
-    // Test if we can write to the directory - use try/catch with async writeFile for better performance
-    try {
-      const testFilePath = path.join(sessionDir, "test-write.tmp");
-      await fs.promises
-        .writeFile(testFilePath, "test")
-        .then(() => fs.promises.unlink(testFilePath))
-        .catch((err) => {
-          throw new Error(`Cannot write to directory: ${err.message}`);
-        });
-    } catch (err) {
+    if (!sessionDir) {
       console.error(
-        colors.error(`Directory write test failed: ${err.message}`)
+        colors.error("Will attempt to use current directory as fallback")
       );
-      console.error(colors.error("Attempting to use alternative directory..."));
+      sessionDir = getAppDir();
+    }
 
-      // Try to create and use an alternative directory
-      const altDir = path.join(os.tmpdir(), `chrome_logs_${timestamp}`);
+    // Start the crash recovery journal
+    if (MEMORY_CONFIG.useJournal) {
       try {
-        fs.mkdirSync(altDir, { recursive: true });
-        sessionDir = altDir;
-        console.log(colors.dim(`Using alternative directory: ${sessionDir}`));
-      } catch (innerErr) {
-        console.error(
-          colors.error(
-            `Failed to create alternative directory: ${innerErr.message}`
-          )
+        eventJournal = new EventJournal(
+          path.join(sessionDir, JOURNAL_FILE_NAME)
         );
-        console.error(
-          colors.error("Will attempt to use current directory as fallback")
+      } catch (err) {
+        console.warn(
+          colors.warning(`Could not create journal: ${err.message}`)
         );
-        sessionDir = getAppDir();
       }
     }
 
@@ -1958,24 +7152,28 @@ function fetchChromeWebSocketUrl() {
     );
     console.log(colors.dim("Press h for help and additional options.\n"));
 
-    // Reset uniqueRequestId at the start of session
-    uniqueRequestId = 0;
-
     // Set up monitoring for all initial pages
     for (const page of activePagesArray) {
-      await setupPageMonitoring(page);
+      recordTimelineEvent("tab-opened", page.target()._targetId, {
+        url: redactor.redactUrl(await page.url()),
+        alreadyOpen: true,
+      });
+      await monitorPage(page);
     }
 
     // Add listener for new tabs being created
     browser.on("targetcreated", async (target) => {
       // Only handle page targets (tabs)
       if (target.type() === "page") {
+        recordTimelineEvent("tab-opened", target._targetId, {
+          url: redactor.redactUrl(target.url()),
+        });
         try {
           // Get the page object
           const page = await target.page();
           if (page) {
             // Set up monitoring for this new page
-            const success = await setupPageMonitoring(page);
+            const success = await monitorPage(page);
             if (success) {
               console.log("✅ New tab detected and monitoring started");
               try {
@@ -2011,6 +7209,11 @@ function fetchChromeWebSocketUrl() {
           // Just mark it as closed
           pageInfo.closed = true;
           pageInfo.closedAt = new Date().toISOString();
+          abandonPendingRequests(targetId);
+          recordTimelineEvent("tab-closed", targetId, {
+            url: pageInfo.url,
+            title: pageInfo.title,
+          });
         }
       }
     });
@@ -2018,10 +7221,71 @@ function fetchChromeWebSocketUrl() {
     console.log(
       `${colors.success("✅")} Network and console recording started.`
     );
-    console.clear();
+    if (!RUN_CONFIG.headless) {
+      console.clear();
+    }
 
     // Initialize the status line
     updateStatusLine(true);
+    emitHeadlessEvent("started", {
+      sessionDir,
+      tabs: progressStats.activeTabs,
+    });
+
+    // Headless mode prints progress as JSON lines instead of the spinner
+    const headlessProgressInterval = RUN_CONFIG.headless
+      ? setInterval(() => {
+          emitHeadlessEvent("progress", {
+            elapsedMs: Date.now() - startTime.getTime(),
+            requests: progressStats.networkEvents,
+            consoleLogs: progressStats.consoleLogs,
+            errors: progressStats.errorLogs,
+            warnings: progressStats.warningLogs,
+            tabs: progressStats.activeTabs,
+          });
+        }, HEADLESS_PROGRESS_INTERVAL_MS)
+      : null;
+
+    // Stop gracefully: close Chrome if we launched it headless, otherwise just
+    // disconnect and leave the user's browser running. Both end in "disconnected".
+    let stopping = false;
+    const stopRecording = (reason) => {
+      if (stopping) return;
+      stopping = true;
+      clearStatusLine();
+      console.log(colors.info(`\nStopping recording: ${reason}`));
+      if (RUN_CONFIG.headless && launchedChromeProcess) {
+        browser.close().catch(() => browser.disconnect());
+      } else {
+        browser.disconnect();
+      }
+    };
+
+    const durationTimer =
+      RUN_CONFIG.duration > 0
+        ? setTimeout(
+            () => stopRecording(`duration of ${RUN_CONFIG.duration}ms reached`),
+            RUN_CONFIG.duration
+          )
+        : null;
+    process.once("SIGTERM", () => stopRecording("received SIGTERM"));
+    process.once("SIGINT", () => stopRecording("received SIGINT"));
+
+    // Scripted runs stop on their own once every step has been recorded
+    if (scriptedUrls || journey) {
+      runScriptedNavigation(scriptedUrls || [], journey)
+        .then((succeeded) => {
+          if (!succeeded) {
+            process.exitCode = EXIT_CODES.scriptedRunFailed;
+          }
+          stopRecording("scripted run finished");
+        })
+        .catch((err) => {
+          console.error(colors.error(`Scripted run failed: ${err.message}`));
+          process.exitCode = EXIT_CODES.scriptedRunFailed;
+          stopRecording("scripted run failed");
+        });
+    }
 
     // Set up auto-save timer
     const autoSaveInterval = setInterval(() => {
@@ -2052,10 +7316,11 @@ function fetchChromeWebSocketUrl() {
     await new Promise((resolve) => {
       browser.on("disconnected", async () => {
         // Clear status line before showing final message
-        process.stdout.clearLine();
-        process.stdout.cursorTo(0);
+        clearStatusLine();
         console.log("\nChrome was closed or connection was lost");
         clearInterval(autoSaveInterval);
+        clearInterval(headlessProgressInterval);
+        clearTimeout(durationTimer);
 
         try {
           if (!fs.existsSync(sessionDir)) {
@@ -2064,9 +7329,7 @@ function fetchChromeWebSocketUrl() {
             );
             const emergencyDir = path.join(
               getAppDir(),
-              `emergency_${new Date()
-                .toLocaleTimeString()
-                .replace(/[:.]/g, "-")}`
+              `emergency_${formatFileTimestamp(new Date())}`
             );
             try {
               fs.mkdirSync(emergencyDir);
@@ -2081,6 +7344,11 @@ function fetchChromeWebSocketUrl() {
             }
           }
 
+          // Nothing else will arrive for requests that are still in flight
+          for (const tabId of pendingRequests.keys()) {
+            abandonPendingRequests(tabId);
+          }
+
           // Perform final flush of all data with proper error handling
           try {
             await performMemoryCheck(true); // Force flush all remaining data
@@ -2089,27 +7357,89 @@ function fetchChromeWebSocketUrl() {
               `Error during final memory flush: ${flushErr.message}`
             );
           }
+          await Promise.allSettled(pendingFlushWrites);
 
-          // Save final HAR files with proper error handling
+          // Save final HAR files with proper error handling. The journal is
+          // only kept when something could not be saved.
+          let finalFilesComplete = true;
           try {
-            await saveFinalHarFiles();
+            finalFilesComplete = await saveFinalHarFiles();
           } catch (harErr) {
+            finalFilesComplete = false;
             console.error(`Error saving final HAR files: ${harErr.message}`);
           }
 
+          // Point each scripted step at the HAR file its tab ended up in,
+          // if any entries were kept
+          if (scriptedSteps.length > 0) {
+            try {
+              await writeStreamedFile(
+                path.join(sessionDir, "scripted_run.json"),
+                [
+                  JSON.stringify(
+                    {
+                      steps: scriptedSteps.map((step) => ({
+                        ...step,
+                        harFile: finalHarFiles.get(step.tabId) ?? null,
+                      })),
+                    },
+                    null,
+                    2
+                  ),
+                ]
+              );
+            } catch (stepsErr) {
+              console.error(
+                `Error saving scripted run results: ${stepsErr.message}`
+              );
+            }
+          }
+
           // Save final console logs with proper error handling
           try {
-            saveAllConsoleLogs(sessionDir, consoleLogs);
+            if (!(await saveAllConsoleLogs(sessionDir, consoleLogs))) {
+              finalFilesComplete = false;
+            }
           } catch (logErr) {
+            finalFilesComplete = false;
             console.error(`Error saving console logs: ${logErr.message}`);
           }
 
+          // Merge everything into one time-ordered timeline
+          try {
+            const { timelinePath, eventCount } = await saveTimeline(
+              sessionDir,
+              timelineEvents,
+              timelineRequestSources,
+              consoleLogs
+            );
+            console.log(
+              `Saved ${eventCount} timeline events to ${timelinePath}`
+            );
+          } catch (timelineErr) {
+            console.error(`Error saving timeline: ${timelineErr.message}`);
+          }
+
+          // Everything captured is now on disk in its final form, so the
+          // journal's copy of it can go
+          if (eventJournal) {
+            await eventJournal.close();
+            if (finalFilesComplete) {
+              await fs.promises.unlink(eventJournal.filePath).catch(() => {});
+            } else {
+              console.warn(
+                colors.warning(
+                  `Kept ${eventJournal.filePath}; run "node chrome.js recover ${sessionDir}" to rebuild what is missing`
+                )
+              );
+            }
+          }
+
           // Create a final summary file
           try {
-            const summaryPath = path.join(sessionDir, "recording_summary.json");
             const summaryData = {
-              sessionStartTime: startTime.toLocaleTimeString(),
-              sessionEndTime: new Date().toLocaleTimeString(),
+              sessionStartTime: startTime.toISOString(),
+              sessionEndTime: new Date().toISOString(),
               sessionDuration: `${Math.round(
                 (new Date() - startTime) / 1000 / 60
               )} minutes`,
@@ -2122,12 +7452,37 @@ function fetchChromeWebSocketUrl() {
                 networkFlushes: flushStats.networkEventFlushes,
                 consoleFlushes: flushStats.consoleLogFlushes,
               },
+              requestFilters: {
+                rules: requestFilter.rules,
+                filteredRequests: filteredRequestCount,
+              },
+              redaction: redactor.report(),
+              configuration: resolvedConfig,
             };
 
-            await fs.promises.writeFile(
-              summaryPath,
-              JSON.stringify(summaryData, null, 2)
+            const summaryPath = await writeStreamedFile(
+              path.join(sessionDir, "recording_summary.json"),
+              [JSON.stringify(summaryData, null, 2)]
             );
+            if (sessionManifest) {
+              sessionManifest.counts = Object.fromEntries(
+                SESSION_SUMMARY_COUNTS.map((key) => [key, summaryData[key]])
+              );
+            }
+
+            try {
+              const reportPath = await saveSessionReport(
+                sessionDir,
+                summaryData,
+                timelineRequestSources,
+                consoleLogs
+              );
+              console.log(`Session report saved to ${reportPath}`);
+            } catch (reportErr) {
+              console.error(
+                `Error saving session report: ${reportErr.message}`
+              );
+            }
 
             console.log(`\n---- Recording Session Complete ----`);
             console.log(
@@ -2153,28 +7508,90 @@ function fetchChromeWebSocketUrl() {
           console.error("Error during cleanup process:", e);
         }
 
+        // Fail the run when the page logged more errors than allowed
+        if (
+          RUN_CONFIG.maxPageErrors !== null &&
+          progressStats.errorLogs > RUN_CONFIG.maxPageErrors
+        ) {
+          console.error(
+            colors.error(
+              `${progressStats.errorLogs} page errors exceeded the limit of ${RUN_CONFIG.maxPageErrors}`
+            )
+          );
+          process.exitCode = EXIT_CODES.errorThresholdExceeded;
+        }
+
+        if (sessionManifest) {
+          sessionManifest.endedAt = new Date().toISOString();
+          sessionManifest.status = "completed";
+          sessionManifest.exitCode = process.exitCode ?? EXIT_CODES.success;
+          try {
+            saveSessionManifest(sessionDir, sessionManifest);
+          } catch (manifestErr) {
+            console.error(
+              `Error saving session manifest: ${manifestErr.message}`
+            );
+          }
+        }
+
         resolve();
       });
     });
+
+    if (RUN_CONFIG.headless) {
+      // Remove the throwaway profile once our Chrome is gone
+      if (launchedChromeProfileDir) {
+        try {
+          fs.rmSync(launchedChromeProfileDir, { recursive: true, force: true });
+        } catch {
+          // Chrome may still hold files open; the temp dir is cleaned up eventually
+        }
+      }
+
+      emitHeadlessEvent("finished", {
+        sessionDir,
+        exitCode: process.exitCode || EXIT_CODES.success,
+        requests: progressStats.networkEvents,
+        consoleLogs: progressStats.consoleLogs,
+        errors: progressStats.errorLogs,
+        warnings: progressStats.warningLogs,
+      });
+      process.exit();
+    }
   } catch (error) {
     // Clear status line before showing error
-    process.stdout.clearLine();
-    process.stdout.cursorTo(0);
+    clearStatusLine();
     console.error("Error occurred:", error);
+    process.exitCode = EXIT_CODES.failure;
+    emitHeadlessEvent("failed", { reason: error.message });
     console.log(
-      "Make sure Chrome is running with --remote-debugging-port=9222"
+      `Make sure Chrome is running with --remote-debugging-port=${RUN_CONFIG.port}`
     );
 
     // Try to save any captured data with emergency flush
     try {
+      // Requests still in flight are saved as they are, so redact them first
+      for (const tabId of pendingRequests.keys()) {
+        abandonPendingRequests(tabId);
+      }
+
       if (sessionDir && fs.existsSync(sessionDir)) {
         performMemoryCheck(true); // Force flush all data
-      } else {
-        // Try to save any captured data
-        const timestamp = new Date().toLocaleTimeString().replace(/[:.]/g, "-");
-
+        if (sessionManifest) {
+          sessionManifest.endedAt = new Date().toISOString();
+          sessionManifest.status = "failed";
+          sessionManifest.error = error.message;
+          saveSessionManifest(sessionDir, sessionManifest);
+        }
+      } else if (
+        networkEvents.size > 0 ||
+        Object.keys(consoleLogs).length > 0
+      ) {
         // Create emergency directory
-        const emergencyDir = path.join(getAppDir(), `emergency_${timestamp}`);
+        const emergencyDir = path.join(
+          getAppDir(),
+          `emergency_${formatFileTimestamp(new Date())}`
+        );
         if (!fs.existsSync(emergencyDir)) {
           try {
             fs.mkdirSync(emergencyDir);
@@ -2190,20 +7607,24 @@ function fetchChromeWebSocketUrl() {
           : getAppDir();
 
         if (networkEvents && networkEvents.size > 0) {
-          const allEvents = Array.from(networkEvents.values()).flat();
-          if (allEvents.length > 0) {
-            const emergencyHarFilePath = path.join(saveDir, `network.har`);
-            const harData = createHarFile(
-              allEvents,
-              Array.from(pages.values() || [])
-            );
-            fs.writeFileSync(
-              emergencyHarFilePath,
-              JSON.stringify(harData, null, 2)
-            );
+          const emergencyHarFilePath = path.join(saveDir, `network.har`);
+          const entryCount = await writeHarFile(
+            emergencyHarFilePath,
+            Array.from(pages?.values() || []),
+            (function* () {
+              for (const tabEvents of networkEvents.values()) {
+                yield* tabEvents.getItems();
+              }
+            })()
+          );
+          if (entryCount > 0) {
             console.log(
-              `Emergency network data saved to: ${emergencyHarFilePath}`
+              `Emergency network data saved to: ${getOutputPath(
+                emergencyHarFilePath
+              )}`
             );
+          } else {
+            await fs.promises.unlink(getOutputPath(emergencyHarFilePath));
           }
         }
 
@@ -2211,7 +7632,9 @@ function fetchChromeWebSocketUrl() {
           const emergencyConsoleFilePath = path.join(saveDir, `console.json`);
           saveConsoleLogs(emergencyConsoleFilePath, consoleLogs);
           console.log(
-            `Emergency console logs saved to: ${emergencyConsoleFilePath}`
+            `Emergency console logs saved to: ${getOutputPath(
+              emergencyConsoleFilePath
+            )}`
           );
         }
       }
@@ -2219,6 +7642,447 @@ function fetchChromeWebSocketUrl() {
       console.error("Failed to save emergency data:", e);
     }
   }
-})();
+}
+
+// Helper function for safe evaluation with timeout. Captures one console
+// argument as plain JSON, from a CDP RemoteObject on the CDP path or a
+// Puppeteer JSHandle when the page's console event is used. Objects and
+// arrays are expanded with Runtime.getProperties, which never runs the
+// page's getters, up to CONSOLE_CONFIG.maxConsoleArgDepth levels, so
+// circular structures simply stop at that depth. Without a CDP session, or
+// once consoleArgTimeoutMs has passed, the argument's preview is used
+// instead. Never throws, and releases every remote object it touched.
+async function safeEvaluate(handle, cdpSession = null) {
+  const isJSHandle = typeof handle?.remoteObject === "function";
+  const remoteObject = isJSHandle ? handle.remoteObject() : handle;
+  const context = {
+    cdpSession: isJSHandle ? null : cdpSession,
+    deadline: Date.now() + CONSOLE_CONFIG.consoleArgTimeoutMs,
+    budget: CONSOLE_CONFIG.maxConsoleArgSize,
+    objectIds: [],
+    released: false,
+  };
+
+  let timer;
+  try {
+    return await Promise.race([
+      serializeRemoteObject(remoteObject, context),
+      new Promise((resolve) => {
+        timer = setTimeout(
+          () =>
+            resolve(
+              remoteObject.preview
+                ? objectPreviewToValue(remoteObject.preview, context)
+                : formatRemoteObject(remoteObject)
+            ),
+          CONSOLE_CONFIG.consoleArgTimeoutMs
+        );
+      }),
+    ]);
+  } catch {
+    return formatRemoteObject(remoteObject);
+  } finally {
+    clearTimeout(timer);
+    context.released = true;
+    releaseConsoleArg(handle, cdpSession);
+    if (cdpSession) {
+      releaseRemoteObjects(cdpSession, context.objectIds);
+    }
+  }
+}
+
+// Release a console argument's remote object so the page can garbage-collect
+// it, also for messages that are filtered out
+function releaseConsoleArg(handle, cdpSession) {
+  if (typeof handle?.dispose === "function") {
+    handle.dispose().catch(() => {});
+  } else if (handle?.objectId && cdpSession) {
+    releaseRemoteObjects(cdpSession, [handle.objectId]);
+  }
+}
+
+function releaseRemoteObjects(cdpSession, objectIds) {
+  for (const objectId of objectIds) {
+    cdpSession.send("Runtime.releaseObject", { objectId }).catch(() => {}); // Page closed or navigated away; gone anyway
+  }
+}
+
+// Console arguments are captured as JSON: primitives by value, strings cut to
+// the size cap, and what JSON can't hold (undefined, NaN, bigints, symbols,
+// functions) as DevTools prints it. Objects that aren't plain get a
+// "[[Class]]" key; Maps and Sets list their "[[Entries]]"; Errors keep their
+// message and stack; DOM nodes, dates and the like keep their
+// "[[Description]]". Objects cut short are marked with "[[Truncated]]",
+// objects below the depth limit are replaced by their description, e.g.
+// "Array(3)", and objects nested in themselves by "[Circular]". `ancestors`
+// holds the object ids of the objects `remote` is nested in.
+async function serializeRemoteObject(remote, context, ancestors = []) {
+  if (remote.type !== "object" || remote.subtype === "null") {
+    return remoteObjectToValue(remote, context);
+  }
+  if (ancestors.length >= CONSOLE_CONFIG.maxConsoleArgDepth) {
+    return remote.description;
+  }
+
+  const isCollection = remote.subtype === "map" || remote.subtype === "set";
+  switch (remote.subtype) {
+    case undefined:
+    case "array":
+    case "typedarray":
+    case "map":
+    case "set":
+      break;
+    case "error":
+      return {
+        "[[Class]]": remote.className,
+        message:
+          remote.preview?.properties?.find(({ name }) => name === "message")
+            ?.value ?? remote.description?.split("\n")[0],
+        stack: truncateConsoleString(remote.description || "", context),
+      };
+    case "weakmap":
+    case "weakset":
+      return remote.preview
+        ? {
+            "[[Class]]": remote.className,
+            ...objectPreviewToValue(remote.preview, context),
+          }
+        : remote.description;
+    default:
+      // DOM nodes, dates, regexps, promises, proxies, ...
+      return {
+        "[[Class]]": remote.className,
+        "[[Description]]": remote.description,
+      };
+  }
+
+  const canExpand =
+    context.cdpSession &&
+    remote.objectId &&
+    !context.released &&
+    context.budget > 0 &&
+    Date.now() < context.deadline;
+  if (canExpand) {
+    if (await isCircularReference(remote, context, ancestors)) {
+      return "[Circular]";
+    }
+    return isCollection
+      ? expandRemoteCollection(remote, context, ancestors)
+      : expandRemoteObject(remote, context, ancestors);
+  }
+  if (!remote.preview) {
+    return remote.description;
+  }
+  return isCollection
+    ? {
+        "[[Class]]": remote.className,
+        ...objectPreviewToValue(remote.preview, context),
+      }
+    : objectPreviewToValue(remote.preview, context);
+}
+
+// Whether an object is one of the objects it is nested in. Every
+// Runtime.getProperties call hands out new object ids, so the objects are
+// compared in the page.
+async function isCircularReference(remote, context, ancestors) {
+  if (ancestors.length === 0) return false;
+  const { result } = await context.cdpSession.send("Runtime.callFunctionOn", {
+    objectId: remote.objectId,
+    functionDeclaration:
+      "function (...ancestors) { return ancestors.includes(this); }",
+    arguments: ancestors.map((objectId) => ({ objectId })),
+    returnByValue: true,
+  });
+  return result?.value === true;
+}
+
+// Fetch an object's own properties, keeping the object ids handed out so
+// they are released with the console argument
+async function getRemoteProperties(objectId, context) {
+  const response = await context.cdpSession.send("Runtime.getProperties", {
+    objectId,
+    ownProperties: true,
+    generatePreview: true,
+  });
+  const childIds = [
+    ...(response.result || []),
+    ...(response.internalProperties || []),
+  ]
+    .flatMap(({ value, get, set }) => [
+      value?.objectId,
+      get?.objectId,
+      set?.objectId,
+    ])
+    .filter(Boolean);
+  if (context.released) {
+    // The argument timed out while this request was in flight
+    releaseRemoteObjects(context.cdpSession, childIds);
+  } else {
+    context.objectIds.push(...childIds);
+  }
+  return response;
+}
+
+// Fetch an object's own enumerable properties and serialize each of them
+async function expandRemoteObject(remote, context, ancestors) {
+  const { result = [] } = await getRemoteProperties(remote.objectId, context);
+
+  const isArray = remote.subtype === "array" || remote.subtype === "typedarray";
+  const properties = result.filter(
+    ({ name, enumerable }) =>
+      enumerable && name !== "__proto__" && (!isArray || /^\d+$/.test(name))
+  );
+  const value = isArray ? [] : {};
+  if (!isArray && remote.className && remote.className !== "Object") {
+    value["[[Class]]"] = remote.className;
+  }
+
+  const childAncestors = [...ancestors, remote.objectId];
+  let count = 0;
+  for (const property of properties) {
+    if (count >= CONSOLE_ARG_MAX_PROPERTIES || context.budget <= 0) break;
+    context.budget -= property.name.length + 4;
+    const item = property.value
+      ? await serializeRemoteObject(property.value, context, childAncestors)
+      : property.get && property.set
+      ? "[Getter/Setter]"
+      : property.get
+      ? "[Getter]"
+      : "[Setter]";
+    if (isArray) {
+      value.push(item);
+    } else {
+      value[property.name] = item;
+    }
+    count++;
+  }
+
+  if (count < properties.length) {
+    if (isArray) {
+      value.push(`… ${properties.length - count} more items`);
+    } else {
+      value["[[Truncated]]"] = properties.length - count;
+    }
+  }
+  return value;
+}
+
+// Fetch a Map's or Set's entries through its internal [[Entries]] list and
+// serialize each of them, instead of the first few entries of its preview
+async function expandRemoteCollection(remote, context, ancestors) {
+  const { internalProperties = [] } = await getRemoteProperties(
+    remote.objectId,
+    context
+  );
+  const entryList = internalProperties.find(
+    ({ name }) => name === "[[Entries]]"
+  )?.value;
+  if (!entryList?.objectId) {
+    return {
+      "[[Class]]": remote.className,
+      ...(remote.preview && objectPreviewToValue(remote.preview, context)),
+    };
+  }
+  const { result = [] } = await getRemoteProperties(
+    entryList.objectId,
+    context
+  );
+  const entries = result.filter(
+    ({ name, value }) => /^\d+$/.test(name) && value?.objectId
+  );
+
+  const childAncestors = [...ancestors, remote.objectId];
+  const items = [];
+  for (const entry of entries) {
+    if (items.length >= CONSOLE_ARG_MAX_PROPERTIES || context.budget <= 0) {
+      break;
+    }
+    context.budget -= 4;
+    // Each entry is an internal object with a "value" and, for Maps, a "key"
+    const { result: parts = [] } = await getRemoteProperties(
+      entry.value.objectId,
+      context
+    );
+    const serializePart = (partName) =>
+      serializeRemoteObject(
+        parts.find(({ name }) => name === partName)?.value || {
+          type: "undefined",
+        },
+        context,
+        childAncestors
+      );
+    items.push(
+      parts.some(({ name }) => name === "key")
+        ? {
+            key: await serializePart("key"),
+            value: await serializePart("value"),
+          }
+        : await serializePart("value")
+    );
+  }
+
+  return {
+    "[[Class]]": remote.className,
+    "[[Entries]]": items,
+    ...(items.length < entries.length && {
+      "[[Truncated]]": entries.length - items.length,
+    }),
+  };
+}
+
+// Value of a RemoteObject that is not an object
+function remoteObjectToValue(remote, context) {
+  switch (remote.type) {
+    case "string":
+      return truncateConsoleString(remote.value, context);
+    case "number":
+      return remote.unserializableValue ?? remote.value;
+    case "boolean":
+      return remote.value;
+    case "function":
+      return formatFunctionDescription(remote.description);
+    case "object":
+      return null;
+    default:
+      // undefined, symbol, bigint
+      return remote.unserializableValue ?? remote.description ?? remote.type;
+  }
+}
+
+// Value of a RemoteObject preview. Previews only hold the first few
+// properties of an object, with nested objects as one more preview or
+// their description.
+function objectPreviewToValue(preview, context) {
+  if (preview.type !== "object" || preview.subtype === "null") {
+    return previewLeafToValue(
+      preview.type,
+      preview.subtype,
+      preview.description,
+      context
+    );
+  }
+
+  if (preview.entries) {
+    return {
+      "[[Entries]]": preview.entries.map(({ key, value }) =>
+        key
+          ? {
+              key: objectPreviewToValue(key, context),
+              value: objectPreviewToValue(value, context),
+            }
+          : objectPreviewToValue(value, context)
+      ),
+      ...(preview.overflow && { "[[Truncated]]": true }),
+    };
+  }
+
+  const isArray =
+    preview.subtype === "array" || preview.subtype === "typedarray";
+  if (preview.subtype && !isArray) {
+    return preview.description;
+  }
+  const value = isArray ? [] : {};
+  for (const property of preview.properties || []) {
+    const item = property.valuePreview
+      ? objectPreviewToValue(property.valuePreview, context)
+      : previewLeafToValue(
+          property.type,
+          property.subtype,
+          property.value,
+          context
+        );
+    if (isArray) {
+      value.push(item);
+    } else {
+      value[property.name] = item;
+    }
+  }
+  if (preview.overflow) {
+    if (isArray) {
+      value.push("…");
+    } else {
+      value["[[Truncated]]"] = true;
+    }
+  }
+  return value;
+}
+
+// Previews hold every value as text
+function previewLeafToValue(type, subtype, text, context) {
+  switch (type) {
+    case "string":
+      return truncateConsoleString(text ?? "", context);
+    case "number": {
+      const number = Number(text);
+      return Number.isFinite(number) && !Object.is(number, -0) ? number : text;
+    }
+    case "boolean":
+      return text === "true";
+    case "accessor":
+      return "[Getter/Setter]";
+    case "function":
+      return formatFunctionDescription(text);
+    case "object":
+      return subtype === "null" ? null : text;
+    default:
+      return text ?? type;
+  }
+}
+
+// Signature of a function as DevTools shows it, e.g. "ƒ load(url)", without
+// its source
+function formatFunctionDescription(description = "") {
+  const signature = description
+    .split("\n")[0]
+    .replace(/\s*\{.*$/, "")
+    .replace(/^(async\s+)?function\s*/, "$1")
+    .slice(0, 100);
+  return `ƒ ${signature}`;
+}
+
+// Cut a string down to what is left of the argument's size cap
+function truncateConsoleString(text, context) {
+  const limit = Math.max(context.budget, 0);
+  context.budget -= text.length;
+  return text.length > limit ? `${text.slice(0, limit)}…` : text;
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  resolveConfig,
+  compileConfig,
+  buildHarTimings,
+  getHarEntryTime,
+  buildHarPostData,
+  parseCookieHeader,
+  parseSetCookieHeader,
+  cdpCookieToHar,
+  orderHarEntries,
+  mergeTimelineStreams,
+  readTimeline,
+  createRedactor,
+  passesLuhnCheck,
+  isLikelyCardNumber,
+  createEncryption,
+  encryptBuffer,
+  decryptBuffer,
+  writeCompressedFile,
+  readJsonFile,
+  readTextFile,
+  decryptFile,
+  SKIP_JSON_VALUE,
+  ZipWriter,
+  readZipEntries,
+  readZipEntry,
+  checkBundle,
+  selectBundleFiles,
+  rewriteJsonValues,
+  exportSession,
+};
 
-// Helper function for safe evaluation with timeout
+// Run when started directly or from a pkg build; bootstrap.js and the tests
+// require the module instead
+if (require.main === module) {
+  main();
+}
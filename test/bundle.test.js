@@ -0,0 +1,260 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseArgs,
+  resolveConfig,
+  compileConfig,
+  SKIP_JSON_VALUE,
+  ZipWriter,
+  readZipEntries,
+  readZipEntry,
+  checkBundle,
+  selectBundleFiles,
+  rewriteJsonValues,
+  exportSession,
+} = require("../chrome.js");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "chromelogs-test-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Feed a string to rewriteJsonValues in chunks of `size` characters
+async function rewrite(text, handlers, size = text.length) {
+  async function* chunks() {
+    for (let i = 0; i < text.length; i += size) {
+      yield text.slice(i, i + size);
+    }
+  }
+  let output = "";
+  for await (const piece of rewriteJsonValues(chunks(), handlers)) {
+    output += piece;
+  }
+  return output;
+}
+
+// A finished session with one of every file a bundle may hold
+function writeSession(name) {
+  const sessionDir = path.join(tempDir, name);
+  const write = (relativePath, data) => {
+    const filePath = path.join(sessionDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(
+      filePath,
+      typeof data === "string" ? data : JSON.stringify(data, null, 2)
+    );
+  };
+  write("session.json", { id: name, status: "completed" });
+  write("recording_summary.json", { tabs: 1 });
+  write("timeline.json", { events: [] });
+  write("report.html", "<html></html>");
+  write("final_har_files/example.com_1.har", {
+    log: {
+      version: "1.2",
+      pages: [],
+      entries: [
+        {
+          request: {
+            method: "GET",
+            url: "https://example.com/api?token=secret123&page=2",
+            headers: [],
+            queryString: [],
+            cookies: [],
+          },
+          response: { status: 200, headers: [], cookies: [], content: {} },
+        },
+      ],
+    },
+  });
+  write("console_all.json", { entries: [] });
+  write("network_flushes/chunk_1.json", []);
+  write("journal.ndjson", "");
+  return sessionDir;
+}
+
+const har = {
+  log: {
+    version: "1.2",
+    entries: [
+      { id: 1, text: 'a "quoted" ] } , value' },
+      { id: 2, nested: { list: [1, 2, [3]] } },
+      { id: 3, empty: {} },
+    ],
+  },
+};
+
+test("rewriteJsonValues leaves a document without handled keys as it is", async () => {
+  const text = JSON.stringify(har, null, 2);
+  assert.equal(await rewrite(text, new Map()), text);
+});
+
+test("rewriteJsonValues rewrites array items however the input is chunked", async () => {
+  const text = JSON.stringify(har, null, 2);
+  const handlers = new Map([["entries", (entry) => ({ ...entry, seen: 1 })]]);
+  const expected = JSON.stringify(
+    {
+      log: {
+        ...har.log,
+        entries: har.log.entries.map((entry) => ({ ...entry, seen: 1 })),
+      },
+    },
+    null,
+    2
+  );
+  for (const size of [1, 2, 7, text.length]) {
+    assert.equal(await rewrite(text, handlers, size), expected);
+  }
+});
+
+test("rewriteJsonValues drops items whose handler returns SKIP_JSON_VALUE", async () => {
+  const text = JSON.stringify(har, null, 2);
+  const keepOdd = (entry) => (entry.id % 2 ? entry : SKIP_JSON_VALUE);
+  const output = await rewrite(text, new Map([["entries", keepOdd]]), 5);
+  assert.equal(
+    output,
+    JSON.stringify(
+      { log: { ...har.log, entries: har.log.entries.filter((e) => e.id % 2) } },
+      null,
+      2
+    )
+  );
+
+  const none = await rewrite(
+    text,
+    new Map([["entries", () => SKIP_JSON_VALUE]])
+  );
+  assert.deepEqual(JSON.parse(none).log.entries, []);
+});
+
+test("rewriteJsonValues passes other values to their handler whole", async () => {
+  const text = JSON.stringify({ pageUrl: "https://a/?x", count: 3 }, null, 2);
+  const output = await rewrite(
+    text,
+    new Map([
+      ["pageUrl", (url) => url.toUpperCase()],
+      ["count", (count) => count + 1],
+    ]),
+    3
+  );
+  assert.deepEqual(JSON.parse(output), { pageUrl: "HTTPS://A/?X", count: 4 });
+});
+
+test("rewriteJsonValues rejects a truncated document", async () => {
+  const text = JSON.stringify(har, null, 2);
+  await assert.rejects(
+    rewrite(text.slice(0, -10), new Map([["entries", (entry) => entry]])),
+    /Unexpected end of JSON input/
+  );
+});
+
+test("ZipWriter archives read back through readZipEntries", async () => {
+  const sourcePath = path.join(tempDir, "source.txt");
+  const content = "line of text\n".repeat(5000);
+  fs.writeFileSync(sourcePath, content);
+
+  const archivePath = path.join(tempDir, "plain.zip");
+  const zip = new ZipWriter(archivePath);
+  const fromPath = await zip.addFile("dir/source.txt", sourcePath);
+  const fromBuffer = await zip.addFile("ünïcode.json", Buffer.from("{}"));
+  await zip.close();
+
+  const entries = await readZipEntries(archivePath);
+  assert.deepEqual(
+    entries.map((entry) => [entry.name, entry.size]),
+    [
+      ["dir/source.txt", content.length],
+      ["ünïcode.json", 2],
+    ]
+  );
+  assert.equal(fromPath.size, content.length);
+  assert.equal(fromBuffer.size, 2);
+
+  const outputPath = path.join(tempDir, "extracted.txt");
+  const tally = await readZipEntry(archivePath, entries[0], outputPath);
+  assert.equal(fs.readFileSync(outputPath, "utf8"), content);
+  assert.equal(tally.crc, entries[0].crc);
+  assert.equal(tally.hash.digest("hex"), fromPath.sha256);
+});
+
+test("readZipEntries rejects a file that is not a zip archive", async () => {
+  const filePath = path.join(tempDir, "not-a.zip");
+  fs.writeFileSync(filePath, "plain text");
+  await assert.rejects(readZipEntries(filePath), /is not a zip archive/);
+});
+
+test("selectBundleFiles keeps only the HARs and console logs when redactedOnly", () => {
+  const sessionDir = writeSession("session_select");
+  assert.deepEqual(selectBundleFiles(sessionDir, false), [
+    "console_all.json",
+    "final_har_files/example.com_1.har",
+    "recording_summary.json",
+    "report.html",
+    "session.json",
+    "timeline.json",
+  ]);
+  assert.deepEqual(selectBundleFiles(sessionDir, true), [
+    "console_all.json",
+    "final_har_files/example.com_1.har",
+  ]);
+});
+
+test("exported bundles verify, and damaged ones report the damaged file", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const sessionDir = writeSession("session_export");
+  const archivePath = path.join(tempDir, "export.zip");
+  await exportSession(sessionDir, archivePath);
+
+  const extractDir = path.join(tempDir, "extracted");
+  const { manifest, problems } = await checkBundle(archivePath, extractDir);
+  assert.deepEqual(problems, []);
+  assert.equal(manifest.sessionId, "session_export");
+  assert.deepEqual(
+    manifest.files.map((file) => file.path),
+    selectBundleFiles(sessionDir, false)
+  );
+  assert.equal(
+    fs.readFileSync(path.join(extractDir, "report.html"), "utf8"),
+    "<html></html>"
+  );
+
+  // Flip a byte inside the first entry's compressed data
+  const damagedPath = path.join(tempDir, "damaged.zip");
+  const archive = fs.readFileSync(archivePath);
+  const [first] = await readZipEntries(archivePath);
+  archive[
+    first.localHeaderOffset + 30 + Buffer.byteLength(first.name) + 2
+  ] ^= 0xff;
+  fs.writeFileSync(damagedPath, archive);
+  const damaged = await checkBundle(damagedPath);
+  assert.equal(damaged.problems.length, 1);
+  assert.match(damaged.problems[0], /^console_all\.json: /);
+});
+
+test("redacted-only bundles hold redacted HARs and no session files", async (t) => {
+  t.mock.method(console, "log", () => {});
+  resolveConfig(parseArgs(["--redacted-only"]), {});
+  compileConfig();
+  const sessionDir = writeSession("session_redacted");
+  const archivePath = path.join(tempDir, "redacted.zip");
+  await exportSession(sessionDir, archivePath);
+
+  const extractDir = path.join(tempDir, "redacted");
+  const { manifest, problems } = await checkBundle(archivePath, extractDir);
+  assert.deepEqual(problems, []);
+  assert.equal(manifest.redactedOnly, true);
+  assert.deepEqual(
+    manifest.files.map((file) => file.path),
+    ["console_all.json", "final_har_files/example.com_1.har"]
+  );
+  const [entry] = JSON.parse(
+    fs.readFileSync(
+      path.join(extractDir, "final_har_files/example.com_1.har"),
+      "utf8"
+    )
+  ).log.entries;
+  assert.equal(
+    entry.request.url,
+    "https://example.com/api?token=[REDACTED]&page=2"
+  );
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs, resolveConfig } = require("../chrome.js");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "chromelogs-test-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Write `options` as a config file and return its path
+function writeConfigFile(name, options) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, JSON.stringify(options));
+  return filePath;
+}
+
+test("parseArgs reads flags, values and positionals", () => {
+  const args = parseArgs([
+    "export",
+    "--port",
+    "9223",
+    "--host=example.test",
+    "--duration",
+    "5m",
+    "--exclude-domains",
+    "a.com, b.com",
+    "--no-use-compression",
+    "--ci",
+    "sessions/one",
+  ]);
+  assert.deepEqual(args.positionals, ["export", "sessions/one"]);
+  assert.deepEqual(args.options.run, {
+    port: 9223,
+    host: "example.test",
+    duration: 300000,
+    headless: true,
+  });
+  assert.equal(args.options.memory.useCompression, false);
+  assert.deepEqual(args.options.filter.excludeDomains, ["a.com", "b.com"]);
+});
+
+test("parseArgs takes an explicit true or false after a boolean flag", () => {
+  const args = parseArgs(["--headless", "false", "run"]);
+  assert.equal(args.options.run.headless, false);
+  assert.deepEqual(args.positionals, ["run"]);
+});
+
+test("parseArgs reports bad options by the flag that was given", () => {
+  assert.throws(() => parseArgs(["--nope"]), /Unknown option: --nope/);
+  assert.throws(() => parseArgs(["--port"]), /Missing value for --port/);
+  assert.throws(
+    () => parseArgs(["--port", "-1"]),
+    /Invalid value for --port: expected a non-negative number, got "-1"/
+  );
+  assert.throws(
+    () => parseArgs(["--port=abc"]),
+    /Invalid value for --port: expected a non-negative number, got "abc"/
+  );
+  assert.throws(
+    () => parseArgs(["--duration=soon"]),
+    /Invalid value for --duration: expected a duration/
+  );
+});
+
+test("resolveConfig layers defaults < config file < environment < command line", () => {
+  const configPath = writeConfigFile("layers.json", {
+    port: 1111,
+    host: "from-file",
+    maxEventsBeforeFlush: 10,
+    duration: 90,
+  });
+  const env = { CHROMELOGS_PORT: "2222", CHROMELOGS_HOST: "from-env" };
+
+  let snapshot = resolveConfig(parseArgs(["--config", configPath]), env);
+  assert.equal(snapshot.configFile, configPath);
+  assert.equal(snapshot.run.port, 2222);
+  assert.equal(snapshot.run.host, "from-env");
+  assert.equal(snapshot.run.duration, 90000);
+  assert.equal(snapshot.memory.maxEventsBeforeFlush, 10);
+
+  snapshot = resolveConfig(
+    parseArgs(["--config", configPath, "--port", "3333"]),
+    env
+  );
+  assert.equal(snapshot.run.port, 3333);
+  assert.equal(snapshot.run.host, "from-env");
+});
+
+test("resolveConfig hides secret options in its snapshot", () => {
+  const snapshot = resolveConfig(
+    parseArgs(["--encryption-passphrase", "hunter2"]),
+    {}
+  );
+  assert.equal(snapshot.encryption.encryptionPassphrase, "[REDACTED]");
+});
+
+test("resolveConfig names the config key or variable a bad value came from", () => {
+  const configPath = writeConfigFile("bad.json", { port: "many" });
+  assert.throws(
+    () => resolveConfig(parseArgs(["--config", configPath]), {}),
+    (err) =>
+      err.message ===
+      `Invalid value for "port" in ${configPath}: expected a non-negative number, got "many"`
+  );
+  assert.throws(
+    () => resolveConfig(parseArgs([]), { CHROMELOGS_HEADLESS: "maybe" }),
+    /Invalid value for CHROMELOGS_HEADLESS: expected true or false, got "maybe"/
+  );
+  assert.throws(
+    () =>
+      resolveConfig(
+        parseArgs(["--config", writeConfigFile("unknown.json", { prot: 1 })]),
+        {}
+      ),
+    /Unknown option "prot" in /
+  );
+});
+
+test("resolveConfig ignores unknown CHROMELOGS_ variables with a warning", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  resolveConfig(parseArgs([]), { CHROMELOGS_SOMETHING_ELSE: "1" });
+  assert.equal(warn.mock.calls.length, 1);
+  assert.match(
+    warn.mock.calls[0].arguments[0],
+    /Ignoring unknown environment variable CHROMELOGS_SOMETHING_ELSE/
+  );
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseArgs,
+  resolveConfig,
+  compileConfig,
+  createEncryption,
+  encryptBuffer,
+  decryptBuffer,
+  writeCompressedFile,
+  readJsonFile,
+  readTextFile,
+  decryptFile,
+} = require("../chrome.js");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "chromelogs-test-"));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Encrypt everything written from here on with `passphrase`
+function usePassphrase(passphrase) {
+  resolveConfig(parseArgs(["--encryption-passphrase", passphrase]), {});
+  compileConfig();
+}
+
+// A document large enough to span many read chunks
+const data = {
+  log: {
+    entries: Array.from({ length: 2000 }, (_, i) => ({
+      id: i,
+      url: `https://example.com/item/${i}?q=ü`,
+    })),
+  },
+};
+
+async function readText(filePath) {
+  let text = "";
+  for await (const chunk of readTextFile(filePath)) text += chunk;
+  return text;
+}
+
+// Copy of `filePath` with one byte in the middle flipped
+function tamperedCopy(filePath) {
+  const content = fs.readFileSync(filePath);
+  content[Math.floor(content.length / 2)] ^= 0x01;
+  const copyPath = path.join(tempDir, `tampered_${path.basename(filePath)}`);
+  fs.writeFileSync(copyPath, content);
+  return copyPath;
+}
+
+test("encrypted files read back through every reader", async () => {
+  usePassphrase("correct horse");
+  const written = await writeCompressedFile(
+    path.join(tempDir, "roundtrip.json"),
+    data,
+    true
+  );
+  assert.equal(written, path.join(tempDir, "roundtrip.json.gz.enc"));
+  assert.ok(!fs.readFileSync(written).includes("example.com"));
+
+  assert.deepEqual(await readJsonFile(written), data);
+  assert.deepEqual(JSON.parse(await readText(written)), data);
+
+  const decryptedPath = path.join(tempDir, "roundtrip.json.gz");
+  await decryptFile(written, decryptedPath);
+  assert.deepEqual(await readJsonFile(decryptedPath), data);
+});
+
+test("encryptBuffer output only decrypts with the same passphrase", () => {
+  usePassphrase("correct horse");
+  const encrypted = encryptBuffer(Buffer.from("secret text"));
+  assert.equal(decryptBuffer(encrypted).toString(), "secret text");
+
+  usePassphrase("wrong horse");
+  assert.throws(() => decryptBuffer(encrypted), /Could not decrypt/);
+  assert.throws(
+    () => decryptBuffer(encrypted.subarray(0, 10)),
+    /Encrypted file is truncated/
+  );
+});
+
+test("modified files fail before any of their content is released", async () => {
+  usePassphrase("correct horse");
+  const written = await writeCompressedFile(
+    path.join(tempDir, "tampered.json"),
+    data,
+    false
+  );
+  const tamperedPath = tamperedCopy(written);
+
+  const chunks = readTextFile(tamperedPath);
+  await assert.rejects(chunks.next(), /Could not decrypt/);
+  await assert.rejects(readJsonFile(tamperedPath), /Could not decrypt/);
+
+  const outputPath = path.join(tempDir, "tampered_output.json");
+  await assert.rejects(
+    decryptFile(tamperedPath, outputPath),
+    /Could not decrypt/
+  );
+  assert.ok(!fs.existsSync(outputPath));
+  assert.ok(!fs.existsSync(`${outputPath}.part`));
+});
+
+test("createEncryption accepts a passphrase or a key file, not both", () => {
+  const keyFile = path.join(tempDir, "key");
+  fs.writeFileSync(keyFile, "0123456789abcdef");
+  assert.equal(
+    createEncryption({ encryptionPassphrase: null, encryptionKeyFile: keyFile })
+      .isActive,
+    true
+  );
+  assert.equal(
+    createEncryption({ encryptionPassphrase: null, encryptionKeyFile: null })
+      .isActive,
+    false
+  );
+  assert.throws(
+    () =>
+      createEncryption({
+        encryptionPassphrase: "pw",
+        encryptionKeyFile: keyFile,
+      }),
+    /Set either encryptionPassphrase or encryptionKeyFile, not both/
+  );
+});
@@ -0,0 +1,310 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildHarTimings,
+  getHarEntryTime,
+  buildHarPostData,
+  parseCookieHeader,
+  parseSetCookieHeader,
+  cdpCookieToHar,
+  orderHarEntries,
+} = require("../chrome.js");
+
+// CDP ResourceTiming with every phase unset
+const noTiming = {
+  proxyStart: -1,
+  proxyEnd: -1,
+  dnsStart: -1,
+  dnsEnd: -1,
+  connectStart: -1,
+  connectEnd: -1,
+  sslStart: -1,
+  sslEnd: -1,
+  sendStart: -1,
+  sendEnd: -1,
+  workerStart: -1,
+  workerReady: -1,
+  workerFetchStart: -1,
+  workerRespondWithSettled: -1,
+};
+
+test("buildHarTimings splits a fresh HTTPS request into its phases", () => {
+  const pending = {
+    issueTime: 1,
+    responseReceivedTime: 1.5,
+    timing: {
+      ...noTiming,
+      requestTime: 1.25,
+      dnsStart: 1,
+      dnsEnd: 5,
+      connectStart: 5,
+      sslStart: 7,
+      sslEnd: 20,
+      connectEnd: 20,
+      sendStart: 21,
+      sendEnd: 22,
+    },
+  };
+  const timings = buildHarTimings(pending, 1.75);
+  assert.deepEqual(
+    {
+      blocked: timings.blocked,
+      dns: timings.dns,
+      ssl: timings.ssl,
+      connect: timings.connect,
+      send: timings.send,
+      wait: timings.wait,
+      receive: timings.receive,
+      _blocked_queueing: timings._blocked_queueing,
+    },
+    {
+      blocked: 251,
+      dns: 4,
+      ssl: 13,
+      connect: 19,
+      send: 2,
+      wait: 228,
+      receive: 250,
+      _blocked_queueing: 250,
+    }
+  );
+  // ssl is part of connect, so it isn't counted twice
+  assert.equal(getHarEntryTime(timings), 754);
+});
+
+test("buildHarTimings counts a proxy as blocked time", () => {
+  const timings = buildHarTimings(
+    {
+      issueTime: 1,
+      responseReceivedTime: 1.5,
+      timing: {
+        ...noTiming,
+        requestTime: 1,
+        proxyStart: 0,
+        proxyEnd: 30,
+        sendStart: 31,
+        sendEnd: 32,
+      },
+    },
+    1.5
+  );
+  assert.equal(timings._blocked_proxy, 30);
+  assert.equal(timings.blocked, 30);
+  assert.equal(timings.send, 1);
+  assert.equal(timings.wait, 500 - 32);
+});
+
+test("buildHarTimings falls back to the issue time without ResourceTiming", () => {
+  const timings = buildHarTimings(
+    { issueTime: 1, responseReceivedTime: 1.5 },
+    2
+  );
+  assert.equal(timings.blocked, -1);
+  assert.equal(timings.dns, -1);
+  assert.equal(timings.connect, -1);
+  assert.equal(timings.send, 0);
+  assert.equal(timings.wait, 500);
+  assert.equal(timings.receive, 500);
+  assert.equal(getHarEntryTime(timings), 1000);
+});
+
+test("buildHarTimings leaves wait and receive at 0 when they never happened", () => {
+  const failed = buildHarTimings(
+    { issueTime: 1, responseReceivedTime: -1, timing: undefined },
+    2
+  );
+  assert.equal(failed.wait, 0);
+  assert.equal(failed.receive, 0);
+
+  const unfinished = buildHarTimings(
+    { issueTime: 1, responseReceivedTime: 1.5 },
+    -1
+  );
+  assert.equal(unfinished.wait, 500);
+  assert.equal(unfinished.receive, 0);
+});
+
+test("buildHarPostData parses url-encoded forms into params", () => {
+  assert.deepEqual(
+    buildHarPostData(
+      "q=a+b&tag=x%26y&tag=z",
+      "application/x-www-form-urlencoded; charset=UTF-8"
+    ),
+    {
+      mimeType: "application/x-www-form-urlencoded; charset=UTF-8",
+      text: "q=a+b&tag=x%26y&tag=z",
+      params: [
+        { name: "q", value: "a b" },
+        { name: "tag", value: "x&y" },
+        { name: "tag", value: "z" },
+      ],
+    }
+  );
+});
+
+test("buildHarPostData parses multipart fields and file parts", () => {
+  const text = [
+    "--b0undary",
+    'Content-Disposition: form-data; name="title"',
+    "",
+    "Hello",
+    "--b0undary",
+    'Content-Disposition: form-data; filename="notes.txt"; name="upload"',
+    "Content-Type: text/plain",
+    "",
+    "line 1\r\nline 2",
+    "--b0undary--",
+    "",
+  ].join("\r\n");
+  const postData = buildHarPostData(
+    text,
+    'multipart/form-data; boundary="b0undary"'
+  );
+  assert.equal(postData.text, text);
+  assert.deepEqual(postData.params, [
+    { name: "title", value: "Hello" },
+    {
+      name: "upload",
+      value: "line 1\r\nline 2",
+      fileName: "notes.txt",
+      contentType: "text/plain",
+    },
+  ]);
+});
+
+test("buildHarPostData keeps other bodies as text only", () => {
+  assert.deepEqual(buildHarPostData('{"a":1}', "application/json"), {
+    mimeType: "application/json",
+    text: '{"a":1}',
+    params: [],
+  });
+  assert.deepEqual(buildHarPostData("raw", undefined), {
+    mimeType: "",
+    text: "raw",
+    params: [],
+  });
+});
+
+test("parseCookieHeader splits a Cookie header into HAR cookies", () => {
+  assert.deepEqual(
+    parseCookieHeader("sid=abc; theme=dark=blue ; flag").map(
+      ({ name, value }) => [name, value]
+    ),
+    [
+      ["sid", "abc"],
+      ["theme", "dark=blue"],
+      ["", "flag"],
+    ]
+  );
+  assert.deepEqual(parseCookieHeader(""), []);
+});
+
+test("parseSetCookieHeader reads attributes from each Set-Cookie line", () => {
+  const receivedAt = Date.parse("2024-05-01T12:00:00Z");
+  const cookies = parseSetCookieHeader(
+    [
+      "sid=abc; Path=/; Domain=.example.com; HttpOnly; Secure; SameSite=Lax",
+      "theme=dark; Expires=Wed, 01 May 2024 13:00:00 GMT",
+      "short=1; Expires=Wed, 01 May 2024 13:00:00 GMT; Max-Age=60",
+    ].join("\n"),
+    receivedAt
+  );
+  assert.deepEqual(cookies, [
+    {
+      name: "sid",
+      value: "abc",
+      path: "/",
+      domain: ".example.com",
+      expires: null,
+      httpOnly: true,
+      secure: true,
+      sameSite: "Lax",
+    },
+    {
+      name: "theme",
+      value: "dark",
+      path: "",
+      domain: "",
+      expires: "2024-05-01T13:00:00.000Z",
+      httpOnly: false,
+      secure: false,
+    },
+    {
+      name: "short",
+      value: "1",
+      path: "",
+      domain: "",
+      expires: "2024-05-01T12:01:00.000Z",
+      httpOnly: false,
+      secure: false,
+    },
+  ]);
+});
+
+test("cdpCookieToHar converts expiry seconds and leaves session cookies open", () => {
+  assert.deepEqual(
+    cdpCookieToHar({
+      name: "sid",
+      value: "abc",
+      domain: "example.com",
+      path: "/",
+      expires: 1714568400,
+      httpOnly: true,
+      secure: true,
+      session: false,
+      sameSite: "Strict",
+    }),
+    {
+      name: "sid",
+      value: "abc",
+      path: "/",
+      domain: "example.com",
+      expires: "2024-05-01T13:00:00.000Z",
+      httpOnly: true,
+      secure: true,
+      sameSite: "Strict",
+    }
+  );
+  assert.equal(
+    cdpCookieToHar({ name: "a", value: "b", expires: -1, session: true })
+      .expires,
+    null
+  );
+});
+
+// HAR entry started at second `second` of a minute, for ordering tests
+const entryAt = (second) => ({
+  id: second,
+  startedDateTime: `2024-05-01T12:00:${String(second).padStart(2, "0")}.000Z`,
+});
+
+async function collectIds(iterable) {
+  const ids = [];
+  for await (const entry of iterable) ids.push(entry.id);
+  return ids;
+}
+
+test("orderHarEntries merges overlapping flush chunks in start order", async () => {
+  const chunks = [
+    [entryAt(3), entryAt(1)],
+    [],
+    [entryAt(2), entryAt(5)],
+    [entryAt(4)],
+  ];
+  assert.deepEqual(await collectIds(orderHarEntries(chunks)), [1, 2, 3, 4, 5]);
+});
+
+test("orderHarEntries emits entries as soon as later chunks rule out earlier ones", async () => {
+  const emitted = [];
+  async function* chunks() {
+    yield [entryAt(1), entryAt(2)];
+    yield [entryAt(3)];
+    // Everything up to the start of the second chunk is out by now
+    assert.deepEqual(emitted, [1, 2]);
+    yield [entryAt(4)];
+  }
+  for await (const entry of orderHarEntries(chunks())) {
+    emitted.push(entry.id);
+  }
+  assert.deepEqual(emitted, [1, 2, 3, 4]);
+});
@@ -0,0 +1,193 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createRedactor,
+  passesLuhnCheck,
+  isLikelyCardNumber,
+} = require("../chrome.js");
+
+// createRedactor with REDACTION_CONFIG's defaults and `overrides`
+function redactorWith(overrides = {}) {
+  return createRedactor({
+    redactSensitiveData: true,
+    redactHeaders: [],
+    redactParams: [],
+    redactPatterns: [],
+    redactJsonPaths: [],
+    ...overrides,
+  });
+}
+
+test("passesLuhnCheck accepts valid checksums only", () => {
+  assert.equal(passesLuhnCheck("4111111111111111"), true);
+  assert.equal(passesLuhnCheck("79927398713"), true);
+  assert.equal(passesLuhnCheck("4111111111111112"), false);
+});
+
+test("isLikelyCardNumber needs grouping or card context for plain digit runs", () => {
+  assert.equal(isLikelyCardNumber("4111 1111 1111 1111", ""), true);
+  assert.equal(isLikelyCardNumber("4111-1111-1111-1111", ""), true);
+  assert.equal(isLikelyCardNumber("4111111111111111", "id "), false);
+  assert.equal(isLikelyCardNumber("4111111111111111", "credit card: "), true);
+  assert.equal(isLikelyCardNumber("4111 1111 1111 1112", ""), false);
+});
+
+test("card numbers are redacted in text but timestamps are kept", () => {
+  const { redactBody } = redactorWith();
+  assert.equal(
+    redactBody("paid with 4111 1111 1111 1111 at 1700000000004"),
+    "paid with [REDACTED] at 1700000000004"
+  );
+  assert.equal(
+    redactBody("cardNumber=4111111111111111", "x-www-form-urlencoded"),
+    "cardNumber=[REDACTED]"
+  );
+});
+
+test("redactUrl replaces sensitive parameters in the query and fragment", () => {
+  const { redactUrl } = redactorWith();
+  assert.equal(
+    redactUrl("https://example.com/cb?code=abc&state=1#access_token=xyz&x=2"),
+    "https://example.com/cb?code=[REDACTED]&state=1#access_token=[REDACTED]&x=2"
+  );
+  assert.equal(
+    redactUrl("https://example.com/?page=2"),
+    "https://example.com/?page=2"
+  );
+});
+
+test("redactUrl keeps the URL encoding around a redacted value", () => {
+  const { redactUrl } = redactorWith();
+  assert.equal(
+    redactUrl("https://example.com/?q=a%40b.com%26admin%3Dtrue"),
+    "https://example.com/?q=[REDACTED]%26admin%3Dtrue"
+  );
+  // Invalid percent-encoding is matched raw and left raw
+  assert.equal(
+    redactUrl("https://example.com/?q=a@b.com%zz"),
+    "https://example.com/?q=[REDACTED]%zz"
+  );
+});
+
+test("form bodies are re-encoded with + for spaces", () => {
+  const { redactBody } = redactorWith();
+  assert.equal(
+    redactBody(
+      "note=mail+a%40b.com+now&password=hunter2",
+      "application/x-www-form-urlencoded"
+    ),
+    "note=mail+[REDACTED]+now&password=[REDACTED]"
+  );
+});
+
+test("JSON bodies only match unambiguous credential keys", () => {
+  const { redactBody } = redactorWith();
+  const body = JSON.stringify({
+    password: "hunter2",
+    error: { code: 404, key: "item-1", session: "morning" },
+    contact: "a@b.com",
+  });
+  assert.deepEqual(JSON.parse(redactBody(body, "application/json")), {
+    password: "[REDACTED]",
+    error: { code: 404, key: "item-1", session: "morning" },
+    contact: "[REDACTED]",
+  });
+
+  // Bodies with nothing to redact keep their formatting
+  const clean = '{ "page": 2 }';
+  assert.equal(redactBody(clean, "application/json"), clean);
+});
+
+test("custom params, patterns and JSON paths are applied", () => {
+  const { redactBody, redactUrl } = redactorWith({
+    redactParams: ["OrderRef"],
+    redactPatterns: ["/ACME-\\d+/"],
+    redactJsonPaths: ["$.user.ssn", "$..pin"],
+  });
+  assert.equal(
+    redactUrl("https://example.com/?orderref=42&id=ACME-123"),
+    "https://example.com/?orderref=[REDACTED]&id=[REDACTED]"
+  );
+  assert.deepEqual(
+    JSON.parse(
+      redactBody(
+        JSON.stringify({
+          user: { ssn: "123-45-6789", name: "x" },
+          cards: [{ pin: "1234" }],
+          orderRef: "7",
+        }),
+        "application/json"
+      )
+    ),
+    {
+      user: { ssn: "[REDACTED]", name: "x" },
+      cards: [{ pin: "[REDACTED]" }],
+      orderRef: "[REDACTED]",
+    }
+  );
+});
+
+test("multipart fields are redacted by name, keeping the part headers", () => {
+  const { redactBody } = redactorWith();
+  const boundary = "XyZ";
+  const body = [
+    "--XyZ",
+    'Content-Disposition: form-data; name="user"',
+    "",
+    "alice",
+    "--XyZ",
+    'Content-Disposition: form-data; name="password"',
+    "",
+    "hunter2",
+    "--XyZ--",
+    "",
+  ].join("\r\n");
+  assert.equal(
+    redactBody(body, `multipart/form-data; boundary=${boundary}`),
+    body.replace("hunter2", "[REDACTED]")
+  );
+});
+
+test("redactEntry redacts headers, cookies and URLs once, and counts them", () => {
+  const redactor = redactorWith();
+  const entry = {
+    request: {
+      url: "https://example.com/?token=abc",
+      headers: [
+        { name: "Authorization", value: "Bearer abc.def" },
+        { name: "Accept", value: "*/*" },
+      ],
+      queryString: [{ name: "token", value: "abc" }],
+      cookies: [{ name: "sid", value: "s1" }],
+    },
+    response: {
+      headers: [{ name: "Set-Cookie", value: "sid=s2" }],
+      cookies: [{ name: "sid", value: "s2" }],
+      redirectURL: "",
+    },
+  };
+  redactor.redactEntry(entry);
+  redactor.redactEntry(entry);
+
+  assert.equal(entry.request.url, "https://example.com/?token=[REDACTED]");
+  assert.deepEqual(
+    entry.request.headers.map((header) => header.value),
+    ["[REDACTED]", "*/*"]
+  );
+  assert.equal(entry.request.queryString[0].value, "[REDACTED]");
+  assert.equal(entry.request.cookies[0].value, "[REDACTED]");
+  assert.equal(entry.response.headers[0].value, "[REDACTED]");
+  assert.equal(entry.response.cookies[0].value, "[REDACTED]");
+  assert.equal(redactor.report().totalRedactions, 6);
+});
+
+test("with the built-in rules off and no custom rules nothing is redacted", () => {
+  const redactor = redactorWith({ redactSensitiveData: false });
+  assert.equal(redactor.isActive, false);
+  const url = "https://example.com/?token=abc";
+  assert.equal(redactor.redactUrl(url), url);
+  assert.equal(
+    redactor.redactBody("password=x", "x-www-form-urlencoded"),
+    "password=x"
+  );
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeTimelineStreams, readTimeline } = require("../chrome.js");
+
+// Timeline event at second `second` of a minute
+const at = (second, details = {}) => ({
+  time: `2024-05-01T12:00:${String(second).padStart(2, "0")}.000Z`,
+  ...details,
+});
+
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+}
+
+test("mergeTimelineStreams merges ordered streams of any kind by time", async () => {
+  async function* asyncStream() {
+    yield at(2, { from: "async" });
+    yield at(5, { from: "async" });
+  }
+  function* syncStream() {
+    yield at(1, { from: "sync" });
+    yield at(6, { from: "sync" });
+  }
+  const merged = await collect(
+    mergeTimelineStreams([
+      [at(3, { from: "array" }), at(4, { from: "array" })],
+      [],
+      asyncStream(),
+      syncStream(),
+    ])
+  );
+  assert.deepEqual(
+    merged.map((event) => [event.time.slice(17, 19), event.from]),
+    [
+      ["01", "sync"],
+      ["02", "async"],
+      ["03", "array"],
+      ["04", "array"],
+      ["05", "async"],
+      ["06", "sync"],
+    ]
+  );
+});
+
+test("mergeTimelineStreams puts the earlier stream first on equal times", async () => {
+  const merged = await collect(
+    mergeTimelineStreams([
+      [at(1, { from: "a" }), at(2, { from: "a" })],
+      [at(1, { from: "b" }), at(2, { from: "b" })],
+    ])
+  );
+  assert.deepEqual(
+    merged.map((event) => event.from),
+    ["a", "b", "a", "b"]
+  );
+});
+
+test("mergeTimelineStreams holds only the next event of each stream", async () => {
+  let read = 0;
+  async function* counted() {
+    for (let second = 1; second <= 5; second++) {
+      read++;
+      yield at(second);
+    }
+  }
+  const merged = mergeTimelineStreams([counted()]);
+  await merged.next();
+  assert.equal(read, 1);
+  await merged.next();
+  assert.equal(read, 2);
+  await merged.return();
+});
+
+test("readTimeline links requests and console errors to their context", async () => {
+  const events = [
+    at(1, { type: "tab-opened", tabId: "A" }),
+    at(2, { type: "navigation", tabId: "A", url: "https://a.test/" }),
+  ];
+  const requestSources = new Map([
+    [
+      "A",
+      () => [
+        at(3, { type: "request", tabId: "A", url: "https://a.test/app.js" }),
+        at(4, {
+          type: "request",
+          tabId: "A",
+          url: "https://a.test/api",
+          status: 500,
+        }),
+      ],
+    ],
+  ]);
+  const consoleLogs = {
+    A: {
+      logs: [
+        {
+          timestamp: at(6).time,
+          type: "error",
+          text: "Request failed",
+        },
+        {
+          timestamp: at(5).time,
+          type: "error",
+          text: "TypeError",
+          stackTrace: [{ url: "https://a.test/app.js" }],
+        },
+      ],
+    },
+  };
+
+  const timeline = await collect(
+    readTimeline(events, requestSources, consoleLogs)
+  );
+  assert.deepEqual(
+    timeline.map(({ id, type, navigationId, relatedRequestId, text }) => ({
+      id,
+      type,
+      navigationId,
+      relatedRequestId,
+      text,
+    })),
+    [
+      { id: 1, type: "tab-opened" },
+      { id: 2, type: "navigation" },
+      { id: 3, type: "request", navigationId: 2 },
+      { id: 4, type: "request", navigationId: 2 },
+      // Linked by the URL of its stack frame
+      {
+        id: 5,
+        type: "console",
+        navigationId: 2,
+        relatedRequestId: 3,
+        text: "TypeError",
+      },
+      // Otherwise linked to the last failed request
+      {
+        id: 6,
+        type: "console",
+        navigationId: 2,
+        relatedRequestId: 4,
+        text: "Request failed",
+      },
+    ].map((event) => ({
+      navigationId: undefined,
+      relatedRequestId: undefined,
+      text: undefined,
+      ...event,
+    }))
+  );
+});